@@ -0,0 +1,34 @@
+import { PrismaClient } from '@prisma/client'
+import { mapFreeTextSpecies, speciesSearchText } from '../src/services/speciesService'
+import speciesData from './data/species.json'
+
+const prisma = new PrismaClient()
+
+// Load the bundled species catalog, then link existing free-text species
+// to it. Safe to run again after editing data/species.json.
+const main = async () => {
+  for (const entry of speciesData) {
+    const data = { ...entry, searchText: speciesSearchText(entry) }
+    await prisma.species.upsert({
+      where: { scientificName: entry.scientificName },
+      create: data,
+      update: data
+    })
+  }
+  console.log(`🌱 Species catalog: ${speciesData.length} entries`)
+
+  const { linked, unknown } = await mapFreeTextSpecies(prisma)
+  console.log(`🔗 Linked ${linked} trees to catalog species`)
+
+  if (unknown.length > 0) {
+    console.log(`❓ ${unknown.length} species names did not match the catalog:`)
+    unknown.slice(0, 20).forEach(({ species, trees }) => console.log(`   ${species} (${trees})`))
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Seeding failed:', error)
+    process.exitCode = 1
+  })
+  .finally(() => prisma.$disconnect())
@@ -2,12 +2,21 @@ import express from 'express'
 import cors from 'cors'
 import helmet from 'helmet'
 import dotenv from 'dotenv'
+import path from 'path'
 import { PrismaClient } from '@prisma/client'
 
 // Import routes
 import authRoutes from './routes/auth'
 import treeRoutes from './routes/trees'
-import uploadRoutes from './routes/upload'
+import uploadRoutes, { UPLOAD_DIR } from './routes/upload'
+import speciesRoutes from './routes/species'
+import geocodeRoutes from './routes/geocode'
+import adminRoutes from './routes/admin'
+import userRoutes from './routes/users'
+import moderationRoutes from './routes/moderation'
+import badgeRoutes from './routes/badges'
+import statsRoutes from './routes/stats'
+import feedRoutes from './routes/feed'
 
 // Load environment variables
 dotenv.config()
@@ -17,21 +26,39 @@ const prisma = new PrismaClient()
 const PORT = process.env.PORT || 3001
 
 // Middleware
-app.use(helmet())
+app.use(helmet({
+  // Uploaded images are embedded by the frontend, which runs on another origin
+  crossOriginResourcePolicy: { policy: 'cross-origin' }
+}))
 app.use(cors({
   origin: [
     process.env.FRONTEND_URL || 'http://localhost:5173',
     'http://localhost:5174'
   ],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Result-Limit', 'X-Result-Truncated', 'X-Next-Cursor', 'X-Total-Count', 'Content-Disposition']
 }))
-app.use(express.json({ limit: '10mb' }))
+app.use(express.json({ limit: '1mb' }))
 app.use(express.urlencoded({ extended: true }))
 
 // Routes
 app.use('/api/auth', authRoutes)
 app.use('/api/trees', treeRoutes)
 app.use('/api/upload', uploadRoutes)
+app.use('/api/species', speciesRoutes)
+app.use('/api/geocode', geocodeRoutes)
+app.use('/api/admin', adminRoutes)
+app.use('/api/users', userRoutes)
+app.use('/api/moderation', moderationRoutes)
+app.use('/api/badges', badgeRoutes)
+app.use('/api/stats', statsRoutes)
+app.use('/api/feed', feedRoutes)
+
+// Uploaded files get unique names, so they can be cached aggressively
+app.use('/uploads', express.static(path.resolve(UPLOAD_DIR), {
+  maxAge: '30d',
+  immutable: true
+}))
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -1,19 +1,23 @@
 import { Request, Response, NextFunction } from 'express'
 import jwt from 'jsonwebtoken'
+import { PrismaClient } from '@prisma/client'
+import { AccessTokenPayload, isSessionActive } from '../services/sessionService'
+import { Role, effectiveRole, hasRole } from '../services/roleService'
 
-interface JWTPayload {
-  userId: string
-  email: string
-}
+const prisma = new PrismaClient()
 
 declare global {
   namespace Express {
     interface Request {
-      user?: JWTPayload
+      user?: AccessTokenPayload
+      // Set by requireRole
+      role?: Role
     }
   }
 }
 
+// Invalid, expired and revoked tokens all answer 401, which tells the
+// client to refresh its access token and retry
 export const authenticateToken = (req: Request, res: Response, next: NextFunction) => {
   const authHeader = req.headers['authorization']
   const token = authHeader && authHeader.split(' ')[1] // Bearer TOKEN
@@ -22,11 +26,50 @@ export const authenticateToken = (req: Request, res: Response, next: NextFunctio
     return res.status(401).json({ error: 'Access token required' })
   }
   
-  jwt.verify(token, process.env.JWT_SECRET!, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' })
+  jwt.verify(token, process.env.JWT_SECRET!, async (err, payload) => {
+    const user = payload as AccessTokenPayload | undefined
+    if (err || !user?.sessionId) {
+      return res.status(401).json({ error: 'Invalid or expired token' })
+    }
+
+    try {
+      // Signing out ends a session immediately, not when its token expires
+      if (!await isSessionActive(prisma, user.sessionId)) {
+        return res.status(401).json({ error: 'Session has ended, please sign in again' })
+      }
+    } catch (error) {
+      console.error('Error checking session:', error)
+      return res.status(500).json({ error: 'Failed to check session' })
     }
-    req.user = user as JWTPayload
+
+    req.user = user
     next()
   })
 }
+
+// Use after authenticateToken. The role is read from the database rather
+// than the access token, so role changes apply right away.
+export const requireRole = (required: Role) =>
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user!.userId },
+        select: { email: true, isVerified: true, role: true }
+      })
+      const role = user ? effectiveRole(user) : 'USER'
+
+      if (!hasRole(role, required)) {
+        const name = required.charAt(0) + required.slice(1).toLowerCase()
+        return res.status(403).json({ error: `${name} access required` })
+      }
+      req.role = role
+    } catch (error) {
+      console.error('Error checking role:', error)
+      return res.status(500).json({ error: 'Failed to check account' })
+    }
+    next()
+  }
+
+export const requireModerator = requireRole('MODERATOR')
+
+export const requireAdmin = requireRole('ADMIN')
@@ -0,0 +1,49 @@
+import { Request, Response, NextFunction } from 'express'
+import Joi from 'joi'
+
+export type FieldErrors = Record<string, string>
+
+/**
+ * Validate a value, collecting every problem instead of stopping at the
+ * first one. Unknown keys are stripped rather than rejected so older
+ * clients sending extra fields keep working.
+ */
+export const validateInput = <T = Record<string, unknown>>(
+  schema: Joi.ObjectSchema,
+  input: unknown
+): { value: T, errors: FieldErrors | null } => {
+  const { value, error } = schema.validate(input, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  })
+
+  if (!error) return { value: value as T, errors: null }
+
+  const errors: FieldErrors = {}
+  for (const detail of error.details) {
+    const field = detail.path.join('.') || 'body'
+    if (!errors[field]) {
+      errors[field] = detail.message.replace(/"/g, '')
+    }
+  }
+  return { value: value as T, errors }
+}
+
+/**
+ * Validate `req.body` against a schema. On success the body is replaced by
+ * the normalized value; on failure the request ends with a 400 listing
+ * every invalid field.
+ */
+export const validateBody = (schema: Joi.ObjectSchema) => {
+  return (req: Request, res: Response, next: NextFunction) => {
+    const { value, errors } = validateInput(schema, req.body)
+
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors })
+    }
+
+    req.body = value
+    next()
+  }
+}
@@ -0,0 +1,81 @@
+import { Request, Response } from 'express'
+import { PrismaClient } from '@prisma/client'
+import { UNVERIFIED_DAILY_POST_LIMIT, limitUnverifiedPosts, requireVerifiedEmail } from './verified'
+
+// The middleware reads isVerified through its own client
+jest.mock('@prisma/client', () => {
+  const user = { findUnique: jest.fn() }
+  return { PrismaClient: jest.fn(() => ({ user })) }
+})
+
+const findUser = jest.mocked(PrismaClient).mock.results[0].value.user.findUnique as jest.Mock
+
+const request = () => ({ user: { userId: 'user-1', email: 'ada@example.com', sessionId: 'session-1' } }) as Request
+
+const response = () => {
+  const res = { status: jest.fn(), json: jest.fn() }
+  res.status.mockReturnValue(res)
+  return res
+}
+
+const run = async (middleware: (req: Request, res: Response, next: () => void) => Promise<unknown>) => {
+  const res = response()
+  const next = jest.fn()
+  await middleware(request(), res as unknown as Response, next)
+  return { res, next }
+}
+
+describe('requireVerifiedEmail', () => {
+  it('lets verified accounts through', async () => {
+    findUser.mockResolvedValue({ isVerified: true })
+
+    const { res, next } = await run(requireVerifiedEmail)
+
+    expect(next).toHaveBeenCalled()
+    expect(res.status).not.toHaveBeenCalled()
+  })
+
+  it('answers 403 EMAIL_NOT_VERIFIED to unverified accounts', async () => {
+    findUser.mockResolvedValue({ isVerified: false })
+
+    const { res, next } = await run(requireVerifiedEmail)
+
+    expect(next).not.toHaveBeenCalled()
+    expect(res.status).toHaveBeenCalledWith(403)
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'EMAIL_NOT_VERIFIED' }))
+  })
+})
+
+describe('limitUnverifiedPosts', () => {
+  it('lets unverified accounts post up to the daily limit', async () => {
+    findUser.mockResolvedValue({ isVerified: false })
+    const countPosts = jest.fn().mockResolvedValue(UNVERIFIED_DAILY_POST_LIMIT - 1)
+
+    const { next } = await run(limitUnverifiedPosts(countPosts))
+
+    expect(next).toHaveBeenCalled()
+    // Counted over the last 24 hours
+    const since = countPosts.mock.calls[0][1] as Date
+    expect(Date.now() - since.getTime()).toBeGreaterThanOrEqual(24 * 60 * 60 * 1000)
+  })
+
+  it('stops unverified accounts at the daily limit', async () => {
+    findUser.mockResolvedValue({ isVerified: false })
+
+    const { res, next } = await run(limitUnverifiedPosts(jest.fn().mockResolvedValue(UNVERIFIED_DAILY_POST_LIMIT)))
+
+    expect(next).not.toHaveBeenCalled()
+    expect(res.status).toHaveBeenCalledWith(403)
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'EMAIL_NOT_VERIFIED' }))
+  })
+
+  it('does not limit verified accounts', async () => {
+    findUser.mockResolvedValue({ isVerified: true })
+    const countPosts = jest.fn().mockResolvedValue(UNVERIFIED_DAILY_POST_LIMIT * 10)
+
+    const { next } = await run(limitUnverifiedPosts(countPosts))
+
+    expect(next).toHaveBeenCalled()
+    expect(countPosts).not.toHaveBeenCalled()
+  })
+})
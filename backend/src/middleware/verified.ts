@@ -0,0 +1,56 @@
+import { Request, Response, NextFunction } from 'express'
+import { PrismaClient } from '@prisma/client'
+
+const prisma = new PrismaClient()
+
+// Until their email address is confirmed, accounts may post this many
+// trees, and this many observations of other planters' trees, per day
+export const UNVERIFIED_DAILY_POST_LIMIT = parseInt(process.env.UNVERIFIED_DAILY_POST_LIMIT || '3')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Read from the database rather than the access token, so confirming the
+// address takes effect right away
+const isVerified = async (userId: string) => {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { isVerified: true } })
+  return !!user?.isVerified
+}
+
+// Use after authenticateToken. `code` lets clients offer to resend the
+// verification email.
+const notVerified = (res: Response, error: string) =>
+  res.status(403).json({ error, code: 'EMAIL_NOT_VERIFIED' })
+
+/**
+ * Reject accounts whose email address is not confirmed
+ */
+export const requireVerifiedEmail = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    if (!await isVerified(req.user!.userId)) {
+      return notVerified(res, 'Confirm your email address to use this feature')
+    }
+  } catch (error) {
+    console.error('Error checking verification:', error)
+    return res.status(500).json({ error: 'Failed to check account' })
+  }
+  next()
+}
+
+/**
+ * Cap unverified accounts at UNVERIFIED_DAILY_POST_LIMIT posts in the last
+ * 24 hours, as counted by `countPosts`
+ */
+export const limitUnverifiedPosts = (countPosts: (userId: string, since: Date) => Promise<number>) =>
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const userId = req.user!.userId
+      if (!await isVerified(userId) &&
+          await countPosts(userId, new Date(Date.now() - DAY_MS)) >= UNVERIFIED_DAILY_POST_LIMIT) {
+        return notVerified(res, `Confirm your email address to post more than ${UNVERIFIED_DAILY_POST_LIMIT} times a day`)
+      }
+    } catch (error) {
+      console.error('Error checking posting limit:', error)
+      return res.status(500).json({ error: 'Failed to check account' })
+    }
+    next()
+  }
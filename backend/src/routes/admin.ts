@@ -0,0 +1,67 @@
+import { Router } from 'express'
+import { PrismaClient } from '@prisma/client'
+import { authenticateToken, requireAdmin } from '../middleware/auth'
+import { validateBody } from '../middleware/validate'
+import { findDuplicateClusters, resolveDuplicateRadius } from '../services/duplicateService'
+import { updateRoleSchema, userSelect, toUserResponse } from '../schemas/user'
+import { resolvePageLimit } from '../utils/pagination'
+
+const router = Router()
+const prisma = new PrismaClient()
+
+const DEFAULT_CLUSTER_LIMIT = 50
+const MAX_CLUSTER_LIMIT = 500
+
+// Every admin endpoint needs a signed-in admin
+router.use(authenticateToken, requireAdmin)
+
+// Groups of same-species trees pinned close together across the dataset
+// Query: radius (meters), limit
+router.get('/duplicates', async (req, res) => {
+  let radius: number
+  try {
+    radius = resolveDuplicateRadius(req.query.radius)
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message })
+  }
+
+  const limit = resolvePageLimit(req.query.limit, DEFAULT_CLUSTER_LIMIT, MAX_CLUSTER_LIMIT)
+
+  try {
+    const clusters = await findDuplicateClusters(prisma, { radius })
+    res.json({
+      radius,
+      totalClusters: clusters.length,
+      duplicateTrees: clusters.reduce((sum, cluster) => sum + cluster.size, 0),
+      clusters: clusters.slice(0, limit)
+    })
+  } catch (error) {
+    console.error('Error finding duplicate clusters:', error)
+    res.status(500).json({ error: 'Failed to find duplicate clusters' })
+  }
+})
+
+// Make an account a user, moderator or admin. Verified accounts listed in
+// ADMIN_EMAILS stay admins whatever their stored role.
+router.patch('/users/:id/role', validateBody(updateRoleSchema), async (req, res) => {
+  if (req.params.id === req.user!.userId && req.body.role !== 'ADMIN') {
+    return res.status(400).json({ error: 'Admins cannot demote themselves' })
+  }
+
+  try {
+    const user = await prisma.user.update({
+      where: { id: req.params.id },
+      data: { role: req.body.role },
+      select: userSelect
+    })
+    res.json(toUserResponse(user))
+  } catch (error) {
+    if ((error as { code?: string }).code === 'P2025') {
+      return res.status(404).json({ error: 'User not found' })
+    }
+    console.error('Error updating role:', error)
+    res.status(500).json({ error: 'Failed to update role' })
+  }
+})
+
+export default router
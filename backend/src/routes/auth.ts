@@ -1,15 +1,77 @@
-import { Router } from 'express'
+import { Router, Request } from 'express'
 import bcrypt from 'bcryptjs'
-import jwt from 'jsonwebtoken'
 import { PrismaClient } from '@prisma/client'
+import { authenticateToken } from '../middleware/auth'
+import { validateBody } from '../middleware/validate'
+import {
+  refreshTokenSchema,
+  emailTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  normalizeEmail,
+  toSessionResponse
+} from '../schemas/auth'
+import { userSelect, toUserResponse } from '../schemas/user'
+import { refreshBadges } from '../services/badgeService'
+import {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  SessionError
+} from '../services/sessionService'
+import {
+  issueAccountToken,
+  consumeAccountToken,
+  secondsUntilResend,
+  AccountTokenError,
+  VERIFY_EMAIL_TTL_HOURS,
+  RESET_PASSWORD_TTL_MINUTES
+} from '../services/accountTokenService'
+import { sendMail, verificationEmail, passwordResetEmail } from '../services/mail'
 
 const router = Router()
 const prisma = new PrismaClient()
 
+// Device details shown in the session list
+const clientInfo = (req: Request) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+})
+
+interface MailRecipient {
+  id: string
+  email: string
+  username: string
+  firstName: string | null
+}
+
+const sendVerificationEmail = async (user: MailRecipient) => {
+  const token = await issueAccountToken(prisma, user.id, 'VERIFY_EMAIL')
+  await sendMail(verificationEmail(user, token, VERIFY_EMAIL_TTL_HOURS))
+}
+
+const sendPasswordResetEmail = async (user: MailRecipient) => {
+  const token = await issueAccountToken(prisma, user.id, 'RESET_PASSWORD')
+  await sendMail(passwordResetEmail(user, token, RESET_PASSWORD_TTL_MINUTES))
+}
+
 // Register
 router.post('/register', async (req, res) => {
   try {
-    const { email, username, password, firstName, lastName } = req.body
+    const { username, password, firstName, lastName } = req.body
+    const email = normalizeEmail(req.body.email)
+
+    // Accounts from before emails were lowercased may differ only in case
+    const taken = await prisma.user.findFirst({
+      where: { email: { equals: email, mode: 'insensitive' } },
+      select: { id: true }
+    })
+    if (taken) {
+      return res.status(400).json({ error: 'Registration failed' })
+    }
     
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 12)
@@ -23,25 +85,18 @@ router.post('/register', async (req, res) => {
         firstName,
         lastName
       },
-      select: {
-        id: true,
-        email: true,
-        username: true,
-        firstName: true,
-        lastName: true,
-        avatar: true,
-        createdAt: true
-      }
+      select: userSelect
+    })
+    
+    // A failed email must not fail the sign-up; the user can ask for another
+    sendVerificationEmail(user).catch(error => {
+      console.error('Error sending verification email:', error)
     })
     
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET!,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    )
+    // Start a session: short-lived access token plus refresh token
+    const tokens = await createSession(prisma, user, clientInfo(req))
     
-    res.status(201).json({ user, token })
+    res.status(201).json({ user: toUserResponse(user), ...tokens })
   } catch (error) {
     res.status(400).json({ error: 'Registration failed' })
   }
@@ -50,38 +105,188 @@ router.post('/register', async (req, res) => {
 // Login
 router.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body
+    const { password } = req.body
     
-    // Find user
-    const user = await prisma.user.findUnique({
-      where: { email }
+    // Find user; accounts from before emails were lowercased may be stored
+    // in any case
+    const user = await prisma.user.findFirst({
+      where: { email: { equals: normalizeEmail(req.body.email), mode: 'insensitive' } },
+      select: { ...userSelect, password: true }
     })
     
     if (!user || !await bcrypt.compare(password, user.password)) {
       return res.status(401).json({ error: 'Invalid credentials' })
     }
     
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET!,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    )
-    
-    const userResponse = {
-      id: user.id,
-      email: user.email,
-      username: user.username,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      avatar: user.avatar,
-      createdAt: user.createdAt
-    }
+    // Start a session: short-lived access token plus refresh token
+    const tokens = await createSession(prisma, user, clientInfo(req))
+
+    // Badge rules added since the last sign-in apply to earlier activity
+    await refreshBadges(prisma, [user.id])
+    const badges = await prisma.userBadge.findMany({
+      where: { userId: user.id },
+      select: { badge: true, earnedAt: true }
+    })
     
-    res.json({ user: userResponse, token })
+    res.json({ user: toUserResponse({ ...user, badges }), ...tokens })
   } catch (error) {
     res.status(400).json({ error: 'Login failed' })
   }
 })
 
+// Trade a refresh token for a new access token and refresh token.
+// The old refresh token stops working.
+router.post('/refresh', validateBody(refreshTokenSchema), async (req, res) => {
+  try {
+    const tokens = await rotateSession(prisma, req.body.refreshToken, clientInfo(req))
+    res.json(tokens)
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({ error: error.message })
+    }
+    console.error('Error refreshing session:', error)
+    res.status(500).json({ error: 'Failed to refresh session' })
+  }
+})
+
+// End the session of a refresh token. Works with an expired access token,
+// and answers 204 even for unknown tokens so logging out never fails.
+router.post('/logout', validateBody(refreshTokenSchema), async (req, res) => {
+  try {
+    await revokeByRefreshToken(prisma, req.body.refreshToken)
+    res.status(204).send()
+  } catch (error) {
+    console.error('Error logging out:', error)
+    res.status(500).json({ error: 'Failed to log out' })
+  }
+})
+
+// Confirm the email address of the account a verification link was sent to
+router.post('/verify-email', validateBody(emailTokenSchema), async (req, res) => {
+  try {
+    const userId = await consumeAccountToken(prisma, req.body.token, 'VERIFY_EMAIL')
+    await prisma.user.update({ where: { id: userId }, data: { isVerified: true } })
+    res.json({ verified: true })
+  } catch (error) {
+    if (error instanceof AccountTokenError) {
+      return res.status(400).json({ error: error.message })
+    }
+    console.error('Error verifying email:', error)
+    res.status(500).json({ error: 'Failed to verify email' })
+  }
+})
+
+// Send the signed-in user a new verification link
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user!.userId },
+      select: { id: true, email: true, username: true, firstName: true, isVerified: true }
+    })
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+    if (user.isVerified) {
+      return res.status(409).json({ error: 'Email address is already confirmed' })
+    }
+
+    const wait = await secondsUntilResend(prisma, user.id, 'VERIFY_EMAIL')
+    if (wait > 0) {
+      res.set('Retry-After', String(wait))
+      return res.status(429).json({ error: `Please wait ${wait} seconds before asking for another email` })
+    }
+
+    await sendVerificationEmail(user)
+    res.status(202).json({ message: 'Verification email sent' })
+  } catch (error) {
+    console.error('Error resending verification email:', error)
+    res.status(500).json({ error: 'Failed to send verification email' })
+  }
+})
+
+// Email a password reset link. Answers the same whether or not the address
+// belongs to an account, so it cannot be used to discover accounts.
+router.post('/forgot-password', validateBody(forgotPasswordSchema), async (req, res) => {
+  try {
+    const user = await prisma.user.findFirst({
+      where: { email: { equals: req.body.email, mode: 'insensitive' } },
+      select: { id: true, email: true, username: true, firstName: true }
+    })
+
+    if (user && await secondsUntilResend(prisma, user.id, 'RESET_PASSWORD') === 0) {
+      // Not awaited: the response time must not tell whether mail was sent
+      sendPasswordResetEmail(user).catch(error => {
+        console.error('Error sending password reset email:', error)
+      })
+    }
+
+    res.status(202).json({ message: 'If an account uses this address, a reset link is on its way' })
+  } catch (error) {
+    console.error('Error requesting password reset:', error)
+    res.status(500).json({ error: 'Failed to request password reset' })
+  }
+})
+
+// Set a new password with a reset link. Signs out every session, since
+// whoever knew the old password may still be signed in.
+router.post('/reset-password', validateBody(resetPasswordSchema), async (req, res) => {
+  try {
+    const userId = await consumeAccountToken(prisma, req.body.token, 'RESET_PASSWORD')
+    const hashedPassword = await bcrypt.hash(req.body.password, 12)
+
+    // The link arrived by email, which confirms the address too
+    await prisma.user.update({
+      where: { id: userId },
+      data: { password: hashedPassword, isVerified: true }
+    })
+    await revokeAllSessions(prisma, userId)
+
+    res.json({ reset: true })
+  } catch (error) {
+    if (error instanceof AccountTokenError) {
+      return res.status(400).json({ error: error.message })
+    }
+    console.error('Error resetting password:', error)
+    res.status(500).json({ error: 'Failed to reset password' })
+  }
+})
+
+// List the signed-in user's open sessions, most recently used first
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(prisma, req.user!.userId)
+    res.json(sessions.map(session =>
+      toSessionResponse(session, req.user!.sessionId)
+    ))
+  } catch (error) {
+    console.error('Error listing sessions:', error)
+    res.status(500).json({ error: 'Failed to list sessions' })
+  }
+})
+
+// Sign out every other device
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(prisma, req.user!.userId, req.user!.sessionId)
+    res.json({ revoked })
+  } catch (error) {
+    console.error('Error revoking sessions:', error)
+    res.status(500).json({ error: 'Failed to revoke sessions' })
+  }
+})
+
+// Sign out one device (or this one)
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(prisma, req.user!.userId, req.params.id)
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+    res.status(204).send()
+  } catch (error) {
+    console.error('Error revoking session:', error)
+    res.status(500).json({ error: 'Failed to revoke session' })
+  }
+})
+
 export default router
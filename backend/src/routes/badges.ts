@@ -0,0 +1,12 @@
+import { Router } from 'express'
+import { BADGES, toBadgeResponse } from '../services/badgeService'
+
+const router = Router()
+
+// Every badge that can be earned, in display order
+router.get('/', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600')
+  res.json(BADGES.map(toBadgeResponse))
+})
+
+export default router
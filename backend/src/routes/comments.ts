@@ -0,0 +1,109 @@
+import { Router } from 'express'
+import { PrismaClient } from '@prisma/client'
+import { authenticateToken } from '../middleware/auth'
+import { limitUnverifiedPosts } from '../middleware/verified'
+import { validateBody } from '../middleware/validate'
+import { createCommentSchema, commentInclude, toCommentResponse } from '../schemas/comment'
+import { effectiveRole, hasRole } from '../services/roleService'
+import { resolvePageLimit } from '../utils/pagination'
+
+// Mounted at /api/trees/:id/comments
+const router = Router({ mergeParams: true })
+const prisma = new PrismaClient()
+
+const DEFAULT_LIMIT = 100
+const MAX_LIMIT = 200
+
+// Trees hidden by moderators answer as if they did not exist
+const findVisibleTree = (id: string) => prisma.tree.findFirst({
+  where: { id, hiddenAt: null },
+  select: { id: true, userId: true }
+})
+
+// List a tree's latest comments, oldest first so they read as a conversation
+// Query: limit
+router.get<{ id: string }>('/', async (req, res) => {
+  const limit = resolvePageLimit(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT)
+
+  try {
+    const tree = await findVisibleTree(req.params.id)
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Tree not found' })
+    }
+
+    const comments = await prisma.treeComment.findMany({
+      where: { treeId: tree.id },
+      include: commentInclude,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: limit
+    })
+
+    res.json(comments.reverse().map(toCommentResponse))
+  } catch (error) {
+    console.error('Error fetching comments:', error)
+    res.status(500).json({ error: 'Failed to fetch comments' })
+  }
+})
+
+// Comments in the posting window of unverified accounts
+const countRecentComments = (userId: string, since: Date) =>
+  prisma.treeComment.count({ where: { userId, createdAt: { gte: since } } })
+
+// Add a comment (protected - any signed-in user; unverified accounts are
+// rate limited)
+router.post<{ id: string }>('/', authenticateToken, limitUnverifiedPosts(countRecentComments), validateBody(createCommentSchema), async (req, res) => {
+  try {
+    const tree = await findVisibleTree(req.params.id)
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Tree not found' })
+    }
+
+    const comment = await prisma.treeComment.create({
+      data: { body: req.body.body, treeId: tree.id, userId: req.user!.userId },
+      include: commentInclude
+    })
+
+    res.status(201).json(toCommentResponse(comment))
+  } catch (error) {
+    console.error('Error adding comment:', error)
+    res.status(500).json({ error: 'Failed to add comment' })
+  }
+})
+
+// Delete a comment (protected - its author, the tree's planter or a moderator)
+router.delete<{ id: string, commentId: string }>('/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const comment = await prisma.treeComment.findFirst({
+      where: { id: req.params.commentId, treeId: req.params.id },
+      select: { id: true, userId: true, tree: { select: { userId: true } } }
+    })
+
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' })
+    }
+
+    const userId = req.user!.userId
+    if (comment.userId !== userId && comment.tree.userId !== userId) {
+      // The role is read from the database so role changes apply right away
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { email: true, isVerified: true, role: true }
+      })
+
+      if (!user || !hasRole(effectiveRole(user), 'MODERATOR')) {
+        return res.status(403).json({ error: 'You can only delete your own comments and comments on your trees' })
+      }
+    }
+
+    await prisma.treeComment.delete({ where: { id: comment.id } })
+
+    res.status(204).send()
+  } catch (error) {
+    console.error('Error deleting comment:', error)
+    res.status(500).json({ error: 'Failed to delete comment' })
+  }
+})
+
+export default router
@@ -0,0 +1,47 @@
+import { Router } from 'express'
+import { PrismaClient } from '@prisma/client'
+import { authenticateToken } from '../middleware/auth'
+import { toFeedEventResponse } from '../schemas/feed'
+import { loadFeed, parseFeedCursor, FeedCursor } from '../services/feedService'
+import { resolvePageLimit } from '../utils/pagination'
+import { treeInclude } from './trees'
+
+const router = Router()
+const prisma = new PrismaClient()
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 50
+
+// Trees, observations and badges of the planters the signed-in user
+// follows, newest first (protected)
+// Query: limit, cursor (from X-Next-Cursor)
+router.get('/', authenticateToken, async (req, res) => {
+  const limit = resolvePageLimit(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT)
+
+  let cursor: FeedCursor | null
+  try {
+    cursor = parseFeedCursor(req.query.cursor)
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message })
+  }
+
+  try {
+    const { events, nextCursor } = await loadFeed(prisma, {
+      userId: req.user!.userId,
+      cursor,
+      limit,
+      include: treeInclude
+    })
+
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor)
+    }
+
+    res.json(events.map(toFeedEventResponse))
+  } catch (error) {
+    console.error('Error fetching feed:', error)
+    res.status(500).json({ error: 'Failed to fetch feed' })
+  }
+})
+
+export default router
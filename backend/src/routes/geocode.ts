@@ -0,0 +1,65 @@
+import { Router } from 'express'
+import { authenticateToken } from '../middleware/auth'
+import { reverseGeocode, searchPlaces } from '../services/geocoding'
+import { resolvePageLimit } from '../utils/pagination'
+
+// Signed-in users only: every uncached lookup takes a slot of the provider's
+// rate limit, which tree saves share
+const router = Router()
+
+const DEFAULT_LIMIT = 5
+const MAX_LIMIT = 10
+const MIN_QUERY_LENGTH = 3
+
+const parseCoordinate = (value: unknown, min: number, max: number) => {
+  const number = parseFloat(String(value ?? ''))
+  return Number.isFinite(number) && number >= min && number <= max ? number : null
+}
+
+// Address of a point (protected)
+// Query: lat, lng
+router.get('/reverse', authenticateToken, async (req, res) => {
+  const latitude = parseCoordinate(req.query.lat, -90, 90)
+  const longitude = parseCoordinate(req.query.lng, -180, 180)
+  if (latitude === null || longitude === null) {
+    return res.status(400).json({ error: 'lat must be within -90..90 and lng within -180..180' })
+  }
+
+  try {
+    const place = await reverseGeocode({ latitude, longitude })
+    if (!place) {
+      return res.status(404).json({ error: 'No address found for this location' })
+    }
+    res.set('Cache-Control', 'private, max-age=86400')
+    res.json(place)
+  } catch (error) {
+    console.error('Error reverse geocoding:', error)
+    res.status(502).json({ error: 'Geocoding service unavailable' })
+  }
+})
+
+// Places matching free text (protected)
+// Query: q (at least 3 characters), limit, optional lat/lng to prefer nearby places
+router.get('/search', authenticateToken, async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : ''
+  if (query.length < MIN_QUERY_LENGTH) {
+    return res.status(400).json({ error: `q must be at least ${MIN_QUERY_LENGTH} characters` })
+  }
+
+  const limit = resolvePageLimit(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT)
+
+  const latitude = parseCoordinate(req.query.lat, -90, 90)
+  const longitude = parseCoordinate(req.query.lng, -180, 180)
+  const near = latitude !== null && longitude !== null ? { latitude, longitude } : undefined
+
+  try {
+    const places = await searchPlaces(query, { limit, near })
+    res.set('Cache-Control', 'private, max-age=3600')
+    res.json(places)
+  } catch (error) {
+    console.error('Error searching places:', error)
+    res.status(502).json({ error: 'Geocoding service unavailable' })
+  }
+})
+
+export default router
@@ -0,0 +1,78 @@
+import { Router } from 'express'
+import { PrismaClient } from '@prisma/client'
+import { authenticateToken } from '../middleware/auth'
+
+// Mounted at /api/trees/:id/like. Every route answers { liked, likeCount }
+// for the signed-in user; liking and unliking are idempotent.
+const router = Router({ mergeParams: true })
+const prisma = new PrismaClient()
+
+// Trees hidden by moderators answer as if they did not exist
+const findVisibleTree = (id: string) => prisma.tree.findFirst({
+  where: { id, hiddenAt: null },
+  select: { id: true }
+})
+
+const likeStatus = async (treeId: string, userId: string) => {
+  const [like, likeCount] = await Promise.all([
+    prisma.treeLike.findUnique({ where: { treeId_userId: { treeId, userId } }, select: { treeId: true } }),
+    prisma.treeLike.count({ where: { treeId } })
+  ])
+  return { liked: !!like, likeCount }
+}
+
+// Whether the signed-in user likes the tree (protected)
+router.get<{ id: string }>('/', authenticateToken, async (req, res) => {
+  try {
+    const tree = await findVisibleTree(req.params.id)
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Tree not found' })
+    }
+
+    res.json(await likeStatus(tree.id, req.user!.userId))
+  } catch (error) {
+    console.error('Error fetching like:', error)
+    res.status(500).json({ error: 'Failed to fetch like' })
+  }
+})
+
+// Like a tree (protected)
+router.put<{ id: string }>('/', authenticateToken, async (req, res) => {
+  try {
+    const tree = await findVisibleTree(req.params.id)
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Tree not found' })
+    }
+
+    const userId = req.user!.userId
+    await prisma.treeLike.createMany({ data: [{ treeId: tree.id, userId }], skipDuplicates: true })
+
+    res.json(await likeStatus(tree.id, userId))
+  } catch (error) {
+    console.error('Error liking tree:', error)
+    res.status(500).json({ error: 'Failed to like tree' })
+  }
+})
+
+// Take a like back (protected)
+router.delete<{ id: string }>('/', authenticateToken, async (req, res) => {
+  try {
+    const tree = await findVisibleTree(req.params.id)
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Tree not found' })
+    }
+
+    const userId = req.user!.userId
+    await prisma.treeLike.deleteMany({ where: { treeId: tree.id, userId } })
+
+    res.json(await likeStatus(tree.id, userId))
+  } catch (error) {
+    console.error('Error unliking tree:', error)
+    res.status(500).json({ error: 'Failed to unlike tree' })
+  }
+})
+
+export default router
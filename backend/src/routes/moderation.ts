@@ -0,0 +1,102 @@
+import { Router, Request, Response } from 'express'
+import { PrismaClient } from '@prisma/client'
+import { authenticateToken, requireModerator } from '../middleware/auth'
+import { validateBody, validateInput } from '../middleware/validate'
+import {
+  moderationActionSchema,
+  moderationQueueSchema,
+  toReportResponse,
+  toModerationActionResponse,
+  ModerationActionValue
+} from '../schemas/moderation'
+import { toTreeResponse } from '../schemas/tree'
+import {
+  listModerationQueue,
+  moderateTree,
+  listModerationActions,
+  ModerationError
+} from '../services/moderationService'
+import { resolvePageLimit } from '../utils/pagination'
+import { treeInclude } from './trees'
+
+const router = Router()
+const prisma = new PrismaClient()
+
+const DEFAULT_ACTION_LIMIT = 50
+const MAX_ACTION_LIMIT = 200
+
+// Every moderation endpoint needs a signed-in moderator or admin
+router.use(authenticateToken, requireModerator)
+
+// Trees waiting for a moderator
+// Query: status=open|hidden, limit
+router.get('/queue', async (req, res) => {
+  const { value: query, errors } = validateInput<{ status: 'open' | 'hidden', limit: number }>(moderationQueueSchema, req.query)
+  if (errors) {
+    return res.status(400).json({ error: 'Validation failed', fields: errors })
+  }
+
+  try {
+    const trees = await listModerationQueue(prisma, { ...query, include: treeInclude })
+    res.json(trees.map(tree => ({
+      tree: toTreeResponse(tree),
+      hiddenAt: tree.hiddenAt ? tree.hiddenAt.toISOString() : null,
+      reports: tree.reports.map(toReportResponse),
+      lastReportedAt: tree.reports[0]?.createdAt.toISOString() ?? null
+    })))
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error)
+    res.status(500).json({ error: 'Failed to fetch moderation queue' })
+  }
+})
+
+// Log of moderator decisions, newest first
+// Query: treeId, limit
+router.get('/actions', async (req, res) => {
+  const limit = resolvePageLimit(req.query.limit, DEFAULT_ACTION_LIMIT, MAX_ACTION_LIMIT)
+  const treeId = typeof req.query.treeId === 'string' ? req.query.treeId : undefined
+
+  try {
+    const actions = await listModerationActions(prisma, { treeId, limit })
+    res.json(actions.map(toModerationActionResponse))
+  } catch (error) {
+    console.error('Error fetching moderation log:', error)
+    res.status(500).json({ error: 'Failed to fetch moderation log' })
+  }
+})
+
+// Hide, restore and delete share the body { reason } and answer with the
+// logged action
+const moderationRoute = (action: ModerationActionValue, failure: string) =>
+  async (req: Request<{ id: string }>, res: Response) => {
+    try {
+      const logged = await moderateTree(prisma, {
+        treeId: req.params.id,
+        moderatorId: req.user!.userId,
+        action,
+        reason: req.body.reason
+      })
+
+      if (!logged) {
+        return res.status(404).json({ error: 'Tree not found' })
+      }
+      res.json(toModerationActionResponse(logged))
+    } catch (error) {
+      if (error instanceof ModerationError) {
+        return res.status(409).json({ error: error.message })
+      }
+      console.error(`${failure}:`, error)
+      res.status(500).json({ error: failure })
+    }
+  }
+
+// Leave a tree out of every listing; its planter keeps it
+router.post('/trees/:id/hide', validateBody(moderationActionSchema), moderationRoute('HIDE', 'Failed to hide tree'))
+
+// Show a hidden tree again, or dismiss the reports on a visible one
+router.post('/trees/:id/restore', validateBody(moderationActionSchema), moderationRoute('RESTORE', 'Failed to restore tree'))
+
+// Remove a tree for good. The reason goes in the body.
+router.delete('/trees/:id', validateBody(moderationActionSchema), moderationRoute('DELETE', 'Failed to delete tree'))
+
+export default router
@@ -0,0 +1,77 @@
+import { Router } from 'express'
+import { PrismaClient } from '@prisma/client'
+import { authenticateToken } from '../middleware/auth'
+import { limitUnverifiedPosts } from '../middleware/verified'
+import { validateBody } from '../middleware/validate'
+import { createObservationSchema, toObservationResponse } from '../schemas/observation'
+import { observationInclude, recordObservation } from '../services/observationService'
+import { refreshBadges } from '../services/badgeService'
+
+// Mounted at /api/trees/:id/observations
+const router = Router({ mergeParams: true })
+const prisma = new PrismaClient()
+
+// List a tree's observations, newest first
+router.get<{ id: string }>('/', async (req, res) => {
+  try {
+    // Trees hidden by moderators answer as if they did not exist
+    const tree = await prisma.tree.findFirst({
+      where: { id: req.params.id, hiddenAt: null },
+      select: { id: true }
+    })
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Tree not found' })
+    }
+
+    const observations = await prisma.treeObservation.findMany({
+      where: { treeId: tree.id },
+      include: observationInclude,
+      orderBy: [{ observedAt: 'desc' }, { createdAt: 'desc' }]
+    })
+
+    res.json(observations.map(toObservationResponse))
+  } catch (error) {
+    console.error('Error fetching observations:', error)
+    res.status(500).json({ error: 'Failed to fetch observations' })
+  }
+})
+
+// Observations of other planters' trees in the posting window of unverified
+// accounts; a tree's first observation is part of creating it
+const countRecentObservations = (userId: string, since: Date) =>
+  prisma.treeObservation.count({
+    where: { userId, createdAt: { gte: since }, tree: { userId: { not: userId } } }
+  })
+
+// Add an observation (protected - any signed-in steward can observe a tree;
+// unverified accounts are rate limited)
+router.post<{ id: string }>('/', authenticateToken, limitUnverifiedPosts(countRecentObservations), validateBody(createObservationSchema), async (req, res) => {
+  try {
+    // Trees hidden by moderators answer as if they did not exist
+    const tree = await prisma.tree.findFirst({
+      where: { id: req.params.id, hiddenAt: null },
+      select: { id: true, userId: true }
+    })
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Tree not found' })
+    }
+
+    const { observation, status } = await recordObservation(prisma, {
+      ...req.body,
+      treeId: tree.id,
+      userId: req.user!.userId
+    })
+
+    // Counts for the observer, and the new status for the planter
+    await refreshBadges(prisma, [req.user!.userId, tree.userId])
+
+    res.status(201).json({ observation: toObservationResponse(observation), treeStatus: status })
+  } catch (error) {
+    console.error('Error adding observation:', error)
+    res.status(500).json({ error: 'Failed to add observation' })
+  }
+})
+
+export default router
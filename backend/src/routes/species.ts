@@ -0,0 +1,33 @@
+import { Router } from 'express'
+import { PrismaClient } from '@prisma/client'
+import { toSpeciesResponse } from '../schemas/species'
+import { searchSpecies } from '../services/speciesService'
+import { resolvePageLimit } from '../utils/pagination'
+
+const router = Router()
+const prisma = new PrismaClient()
+
+const DEFAULT_LIMIT = 10
+const MAX_LIMIT = 25
+
+// Autocomplete search over the species catalog
+// Query: q (at least 2 characters), limit
+router.get('/', async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : ''
+  if (query.length < 2) {
+    return res.status(400).json({ error: 'q must be at least 2 characters' })
+  }
+
+  const limit = resolvePageLimit(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT)
+
+  try {
+    const species = await searchSpecies(prisma, query, limit)
+    res.set('Cache-Control', 'public, max-age=3600')
+    res.json(species.map(toSpeciesResponse))
+  } catch (error) {
+    console.error('Error searching species:', error)
+    res.status(500).json({ error: 'Failed to search species' })
+  }
+})
+
+export default router
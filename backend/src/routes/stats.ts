@@ -0,0 +1,21 @@
+import { Router } from 'express'
+import { PrismaClient } from '@prisma/client'
+import { getCommunityStats, statsCacheSecondsLeft } from '../services/statsService'
+
+const router = Router()
+const prisma = new PrismaClient()
+
+// Community totals, trees pinned per month and leaderboards
+router.get('/', async (req, res) => {
+  try {
+    const stats = await getCommunityStats(prisma)
+    // Browsers may reuse them for as long as the server would
+    res.set('Cache-Control', `public, max-age=${statsCacheSecondsLeft()}`)
+    res.json(stats)
+  } catch (error) {
+    console.error('Error computing community stats:', error)
+    res.status(500).json({ error: 'Failed to fetch community stats' })
+  }
+})
+
+export default router
@@ -1,120 +1,538 @@
-import { Router } from 'express'
-import { PrismaClient } from '@prisma/client'
+import { Router, Request, Response, NextFunction } from 'express'
+import { PrismaClient, Prisma } from '@prisma/client'
+import multer from 'multer'
 import { authenticateToken } from '../middleware/auth'
+import { requireVerifiedEmail, limitUnverifiedPosts } from '../middleware/verified'
+import { validateBody, validateInput } from '../middleware/validate'
+import { createTreeSchema, updateTreeSchema, duplicateQuerySchema, toTreeResponse, TreeRecord } from '../schemas/tree'
+import { parseBoundingBox, boundingBoxWhere, resolveViewportLimit, BoundingBox } from '../utils/bbox'
+import { buildTreeFilterWhere, parseTreeSort } from '../utils/treeFilters'
+import { resolvePageLimit } from '../utils/pagination'
+import { EXPORT_FORMATS, ExportFormat, serializeTrees } from '../services/exportService'
+import { IMPORT_FORMATS, detectImportFormat, parseImportFile, buildImportReport } from '../services/importService'
+import { recordObservation } from '../services/observationService'
+import { resolveSpeciesId, speciesSelect } from '../services/speciesService'
+import { reverseGeocode } from '../services/geocoding'
+import { findLikelyDuplicates, DuplicateCandidate } from '../services/duplicateService'
+import { reportTree } from '../services/moderationService'
+import { refreshBadges } from '../services/badgeService'
+import { estimateTreeBenefits, benefitTreeSelect, BENEFITS_METHODOLOGY } from '../services/benefits'
+import { reportTreeSchema, toReportResponse } from '../schemas/moderation'
+import observationRoutes from './observations'
+import commentRoutes from './comments'
+import likeRoutes from './likes'
 
 const router = Router()
 const prisma = new PrismaClient()
 
-// Get all trees
+// Public planter fields, the catalog species and the like and comment
+// counts returned with every tree
+export const treeInclude = {
+  user: {
+    select: {
+      id: true,
+      username: true,
+      firstName: true,
+      lastName: true,
+      avatar: true
+    }
+  },
+  catalogSpecies: { select: speciesSelect },
+  _count: { select: { likes: true, comments: true } }
+}
+
+// Link a tree write to the species catalog; answers 400 for an unknown speciesId
+const withSpeciesId = async (body: { species?: string, speciesId?: string | null }) => {
+  try {
+    const speciesId = await resolveSpeciesId(prisma, body)
+    return { data: speciesId === undefined ? {} : { speciesId } }
+  } catch (error) {
+    return { error: { error: 'Validation failed', fields: { speciesId: (error as Error).message } } }
+  }
+}
+
+interface PlaceFields {
+  latitude?: number
+  longitude?: number
+  address?: string
+  city?: string | null
+  district?: string | null
+}
+
+// Longest a save waits for the geocoder, which may be queued behind other
+// lookups by the provider's rate limit
+const PLACE_LOOKUP_TIMEOUT_MS = 3000
+
+// Fill city, district and an empty address from the coordinates when the
+// client sent none. Best effort: a slow or failing geocoder never blocks a
+// write.
+const withPlace = async (fields: PlaceFields, existing?: { latitude: number, longitude: number }) => {
+  const moved = fields.latitude !== undefined || fields.longitude !== undefined
+  if (!moved || fields.city !== undefined || fields.district !== undefined) return {}
+
+  try {
+    const place = await reverseGeocode({
+      latitude: fields.latitude ?? existing!.latitude,
+      longitude: fields.longitude ?? existing!.longitude
+    }, { timeoutMs: PLACE_LOOKUP_TIMEOUT_MS })
+    if (!place) return { city: null, district: null }
+
+    return {
+      city: place.city,
+      district: place.district,
+      ...(!fields.address && { address: place.label })
+    }
+  } catch (error) {
+    console.warn('Geocoding failed, saving tree without a place:', (error as Error).message)
+    return {}
+  }
+}
+
+// Same-species trees pinned close to a new one, nearest first, as
+// [{ distance, tree }] with the distance in meters
+const findDuplicates = async (candidate: DuplicateCandidate, radius?: number) => {
+  const duplicates = await findLikelyDuplicates(prisma, candidate, { radius, include: treeInclude })
+  return duplicates.map(({ tree, distance }) => ({
+    distance: Math.round(distance * 10) / 10,
+    tree: toTreeResponse(tree)
+  }))
+}
+
+// Import files are parsed in memory; 5MB holds well over MAX_IMPORT_ROWS rows
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+})
+
+const receiveImportFile = (req: Request, res: Response, next: NextFunction) => {
+  importUpload.single('file')(req, res, (err: unknown) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'Import file is too large' })
+    }
+    if (err) {
+      return res.status(400).json({ error: (err as Error).message })
+    }
+    next()
+  })
+}
+
+// Look up a tree by the id the client generated when it was captured
+const findByClientId = async (clientId: string, userId: string) => {
+  const tree = await prisma.tree.findUnique({
+    where: { clientId },
+    include: treeInclude
+  })
+
+  if (!tree) return null
+  if (tree.userId !== userId) {
+    return { status: 409, body: { error: 'clientId is already in use' } }
+  }
+  return { status: 200, body: toTreeResponse(tree) }
+}
+
+// Get trees, optionally limited to a viewport, filtered, sorted and paginated
+// Query: bbox=west,south,east,north, zoom, limit, cursor, sort, plus the list filters
 router.get('/', async (req, res) => {
+  let bbox: BoundingBox | null
+  let where: Prisma.TreeWhereInput
+  let orderBy: Prisma.TreeOrderByWithRelationInput[]
   try {
-    const trees = await prisma.tree.findMany({
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            avatar: true
-          }
-        }
-      },
-      orderBy: { createdAt: 'desc' }
-    })
-    
-    res.json(trees)
+    bbox = parseBoundingBox(req.query.bbox)
+    const conditions = buildTreeFilterWhere(req.query)
+    if (bbox) conditions.push(boundingBoxWhere(bbox))
+    where = { AND: conditions }
+    orderBy = parseTreeSort(req.query.sort)
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message })
+  }
+
+  const cursor = typeof req.query.cursor === 'string' && req.query.cursor ? req.query.cursor : undefined
+
+  try {
+    // Viewport requests are always capped; the list is paginated once a
+    // limit or cursor is given, and returns every tree otherwise
+    const limit = bbox
+      ? resolveViewportLimit(req.query.limit, req.query.zoom)
+      : req.query.limit !== undefined || cursor ? resolvePageLimit(req.query.limit) : undefined
+
+    // One extra row tells whether another page follows
+    const [rows, total] = await Promise.all([
+      prisma.tree.findMany({
+        where,
+        include: treeInclude,
+        orderBy,
+        take: limit === undefined ? undefined : limit + 1,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      }),
+      // The total only changes with the filters, so it is sent with the first page
+      limit !== undefined && !cursor ? prisma.tree.count({ where }) : null
+    ])
+
+    const hasMore = limit !== undefined && rows.length > limit
+    const trees = hasMore ? rows.slice(0, limit) : rows
+
+    if (limit !== undefined) {
+      res.set('X-Result-Limit', String(limit))
+      res.set('X-Result-Truncated', String(hasMore))
+    }
+    if (hasMore) {
+      res.set('X-Next-Cursor', trees[trees.length - 1].id)
+    }
+    if (total !== null) {
+      res.set('X-Total-Count', String(total))
+    }
+
+    res.json(trees.map(toTreeResponse))
   } catch (error) {
+    console.error('Error fetching trees:', error)
     res.status(500).json({ error: 'Failed to fetch trees' })
   }
 })
 
-// Create tree (protected - requires authentication)
-router.post('/', authenticateToken, async (req, res) => {
-  try {
-    console.log('Received tree creation request:', req.body)
-    
-    const { name, species, description, datePlanted, latitude, longitude, address, imageUrl, tags } = req.body
-    
-    // Validate required fields
-    if (!name || !species) {
-      return res.status(400).json({ error: 'Name and species are required' })
-    }
-    
-    // Create a default user if none exists (for testing)
-    let defaultUser = await prisma.user.findFirst()
-    if (!defaultUser) {
-      defaultUser = await prisma.user.create({
-        data: {
-          username: 'testuser',
-          email: 'test@example.com',
-          firstName: 'Test',
-          lastName: 'User',
-          passwordHash: 'temp'
-        }
-      })
+// Trees the user created in the posting window of unverified accounts
+const countRecentTrees = (userId: string, since: Date) =>
+  prisma.tree.count({ where: { userId, createdAt: { gte: since } } })
+
+// A replayed offline submission returns the tree created the first time.
+// Runs before the posting limit: a replay does not post anything new.
+const replayClientSubmission = async (req: Request, res: Response, next: NextFunction) => {
+  if (!req.body.clientId) return next()
+
+  try {
+    const replayed = await findByClientId(req.body.clientId, req.user!.userId)
+    if (replayed) return res.status(replayed.status).json(replayed.body)
+  } catch (error) {
+    console.error('Error looking up replayed tree:', error)
+    return res.status(500).json({ error: 'Failed to create tree' })
+  }
+  next()
+}
+
+// Create tree (protected - requires authentication; unverified accounts are rate limited)
+router.post('/', authenticateToken, validateBody(createTreeSchema), replayClientSubmission, limitUnverifiedPosts(countRecentTrees), async (req, res) => {
+  try {
+    const { datePlanted, imageVariants, allowDuplicate, ...fields } = req.body
+
+    const species = await withSpeciesId(fields)
+    if (species.error) return res.status(400).json(species.error)
+
+    // Probably the same tree photographed by someone else: let the client
+    // offer adding an observation to it instead
+    if (!allowDuplicate) {
+      const duplicates = await findDuplicates({ ...fields, speciesId: species.data.speciesId ?? null })
+      if (duplicates.length > 0) {
+        return res.status(409).json({ error: 'A tree of this species is already pinned here', duplicates })
+      }
     }
-    
+
+    const place = await withPlace(fields)
+
     const tree = await prisma.tree.create({
       data: {
-        name,
-        species,
-        description: description || '',
-        datePlanted: datePlanted ? new Date(datePlanted) : null,
-        latitude: latitude ? parseFloat(latitude) : 0,
-        longitude: longitude ? parseFloat(longitude) : 0,
-        address: address || '',
-        imageUrl: imageUrl || '',
-        tags: tags || [],
-        userId: req.user!.userId // Use authenticated user
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            avatar: true
-          }
+        ...fields,
+        ...species.data,
+        ...place,
+        datePlanted: datePlanted ?? null,
+        imageVariants: imageVariants ?? undefined,
+        userId: req.user!.userId, // Use authenticated user
+        // The planter's first observation starts the tree's history
+        observations: {
+          create: { status: fields.status ?? 'HEALTHY', userId: req.user!.userId }
         }
-      }
+      },
+      include: treeInclude
     })
-    
-    console.log('Tree created successfully:', tree)
-    res.status(201).json(tree)
+
+    await refreshBadges(prisma, [req.user!.userId])
+
+    console.log('Tree created successfully:', tree.id)
+    res.status(201).json(toTreeResponse(tree))
   } catch (error) {
+    // Two replays of the same submission raced past the lookup above
+    if ((error as { code?: string }).code === 'P2002' && req.body.clientId) {
+      const replayed = await findByClientId(req.body.clientId, req.user!.userId)
+      if (replayed) return res.status(replayed.status).json(replayed.body)
+    }
+
     console.error('Error creating tree:', error)
     res.status(500).json({ error: 'Failed to create tree', details: (error as Error).message })
   }
 })
 
+// Export trees for GIS tools
+// Query: format=geojson|csv|kml, the list filters (species, status, user,
+// plantedFrom, plantedTo) and an optional bbox
+router.get('/export', async (req, res) => {
+  const format = String(req.query.format || 'geojson').toLowerCase()
+  if (!(format in EXPORT_FORMATS)) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` })
+  }
+
+  let where: Prisma.TreeWhereInput
+  try {
+    const bbox = parseBoundingBox(req.query.bbox)
+    const conditions = buildTreeFilterWhere(req.query)
+    if (bbox) conditions.push(boundingBoxWhere(bbox))
+    where = { AND: conditions }
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message })
+  }
+
+  try {
+    const trees = await prisma.tree.findMany({
+      where,
+      include: treeInclude,
+      orderBy: { createdAt: 'asc' }
+    })
+
+    const { contentType, extension } = EXPORT_FORMATS[format as ExportFormat]
+    const filename = `pin-a-tree-${new Date().toISOString().split('T')[0]}.${extension}`
+
+    res.set('Content-Type', contentType)
+    res.set('Content-Disposition', `attachment; filename="${filename}"`)
+    res.send(serializeTrees(trees, format as ExportFormat))
+  } catch (error) {
+    console.error('Error exporting trees:', error)
+    res.status(500).json({ error: 'Failed to export trees' })
+  }
+})
+
+// Tree counts per city and district, for grouping trees by place
+// Query: the list filters and an optional bbox
+router.get('/places', async (req, res) => {
+  let where: Prisma.TreeWhereInput
+  try {
+    const bbox = parseBoundingBox(req.query.bbox)
+    const conditions = buildTreeFilterWhere(req.query)
+    if (bbox) conditions.push(boundingBoxWhere(bbox))
+    where = { AND: conditions }
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message })
+  }
+
+  try {
+    const groups = await prisma.tree.groupBy({
+      by: ['city', 'district'],
+      where,
+      _count: { _all: true },
+      orderBy: [{ city: 'asc' }, { district: 'asc' }]
+    })
+
+    res.json(groups.map(group => ({
+      city: group.city,
+      district: group.district,
+      count: group._count._all
+    })))
+  } catch (error) {
+    console.error('Error grouping trees by place:', error)
+    res.status(500).json({ error: 'Failed to group trees by place' })
+  }
+})
+
+// Likely duplicates of a tree about to be created
+// Query: latitude, longitude, species, optional speciesId and radius (meters)
+router.get('/duplicates', async (req, res) => {
+  const { value, errors } = validateInput<DuplicateCandidate & { species: string, radius?: number }>(duplicateQuerySchema, req.query)
+  if (errors) {
+    return res.status(400).json({ error: 'Validation failed', fields: errors })
+  }
+
+  const species = await withSpeciesId(value)
+  if (species.error) return res.status(400).json(species.error)
+
+  try {
+    const { radius, ...candidate } = value
+    res.json(await findDuplicates({ ...candidate, speciesId: species.data.speciesId ?? null }, radius))
+  } catch (error) {
+    console.error('Error finding duplicate trees:', error)
+    res.status(500).json({ error: 'Failed to find duplicate trees' })
+  }
+})
+
+// Bulk import trees from CSV or GeoJSON (protected - requires a verified email)
+// Multipart field `file`; query: format=csv|geojson (defaults to the file
+// extension), dryRun=false to create the valid rows. A dry run only reports.
+router.post('/import', authenticateToken, requireVerifiedEmail, receiveImportFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No import file provided' })
+  }
+
+  const format = detectImportFormat(req.query.format, req.file.originalname)
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of ${IMPORT_FORMATS.join(', ')}` })
+  }
+
+  let parsed
+  try {
+    parsed = parseImportFile(req.file.buffer.toString('utf8'), format)
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message })
+  }
+
+  try {
+    const { report, trees } = await buildImportReport(prisma, parsed, format)
+    const dryRun = req.query.dryRun !== 'false'
+
+    // Invalid and duplicate rows are skipped; the report says which
+    if (!dryRun && trees.length > 0) {
+      const userId = req.user!.userId
+      const created = await prisma.$transaction(trees.map(tree => prisma.tree.create({
+        data: {
+          ...tree,
+          datePlanted: tree.datePlanted ?? null,
+          userId,
+          observations: {
+            create: { status: tree.status ?? 'HEALTHY', userId }
+          }
+        },
+        select: { id: true }
+      })))
+      report.created = created.length
+      await refreshBadges(prisma, [userId])
+    }
+
+    res.status(dryRun ? 200 : 201).json({ ...report, dryRun })
+  } catch (error) {
+    console.error('Error importing trees:', error)
+    res.status(500).json({ error: 'Failed to import trees' })
+  }
+})
+
+// Observation history
+router.use('/:id/observations', observationRoutes)
+
+// Community reactions
+router.use('/:id/comments', commentRoutes)
+router.use('/:id/like', likeRoutes)
+
 // Get tree by ID
 router.get('/:id', async (req, res) => {
   try {
     const tree = await prisma.tree.findUnique({
       where: { id: req.params.id },
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            firstName: true,
-            lastName: true,
-            avatar: true
-          }
-        }
-      }
+      include: treeInclude
     })
 
-    if (!tree) {
+    // Hidden by a moderator
+    if (!tree || tree.hiddenAt) {
       return res.status(404).json({ error: 'Tree not found' })
     }
 
-    res.json(tree)
+    res.json(toTreeResponse(tree))
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch tree' })
   }
 })
 
+// Estimated carbon, stormwater and air quality benefits of a tree
+router.get('/:id/benefits', async (req, res) => {
+  try {
+    const tree = await prisma.tree.findFirst({
+      where: { id: req.params.id, hiddenAt: null },
+      select: { id: true, ...benefitTreeSelect }
+    })
+
+    if (!tree) {
+      return res.status(404).json({ error: 'Tree not found' })
+    }
+
+    res.json({ treeId: tree.id, ...estimateTreeBenefits(tree), methodology: BENEFITS_METHODOLOGY })
+  } catch (error) {
+    console.error('Error estimating tree benefits:', error)
+    res.status(500).json({ error: 'Failed to estimate tree benefits' })
+  }
+})
+
+// Flag a tree for the moderators (protected - any signed-in user)
+router.post('/:id/reports', authenticateToken, validateBody(reportTreeSchema), async (req, res) => {
+  try {
+    const tree = await prisma.tree.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, hiddenAt: true }
+    })
+
+    if (!tree || tree.hiddenAt) {
+      return res.status(404).json({ error: 'Tree not found' })
+    }
+
+    const { report, created } = await reportTree(prisma, {
+      ...req.body,
+      treeId: tree.id,
+      reporterId: req.user!.userId
+    })
+
+    res.status(created ? 201 : 200).json(toReportResponse(report))
+  } catch (error) {
+    console.error('Error reporting tree:', error)
+    res.status(500).json({ error: 'Failed to report tree' })
+  }
+})
+
+// Update tree (protected - owner only)
+router.patch('/:id', authenticateToken, validateBody(updateTreeSchema), async (req, res) => {
+  try {
+    const existing = await prisma.tree.findUnique({ where: { id: req.params.id } })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Tree not found' })
+    }
+    if (existing.userId !== req.user!.userId) {
+      return res.status(403).json({ error: 'You can only edit your own trees' })
+    }
+
+    // A status change is recorded as an observation; the tree's status
+    // then follows the latest one
+    const { imageVariants, status, ...fields } = req.body
+    const species = await withSpeciesId(fields)
+    if (species.error) return res.status(400).json(species.error)
+
+    const place = await withPlace(fields, existing)
+
+    if (status) {
+      await recordObservation(prisma, { treeId: existing.id, userId: req.user!.userId, status })
+    }
+
+    // Prisma needs DbNull (not null) to clear a Json column
+    const tree = await prisma.tree.update({
+      where: { id: existing.id },
+      data: {
+        ...fields,
+        ...species.data,
+        ...place,
+        ...(imageVariants !== undefined && { imageVariants: imageVariants ?? Prisma.DbNull })
+      },
+      include: treeInclude
+    })
+
+    // A new status or species can complete a badge
+    await refreshBadges(prisma, [existing.userId])
+
+    res.json(toTreeResponse(tree))
+  } catch (error) {
+    console.error('Error updating tree:', error)
+    res.status(500).json({ error: 'Failed to update tree' })
+  }
+})
+
+// Delete tree (protected - owner only)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await prisma.tree.findUnique({ where: { id: req.params.id } })
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Tree not found' })
+    }
+    if (existing.userId !== req.user!.userId) {
+      return res.status(403).json({ error: 'You can only delete your own trees' })
+    }
+
+    await prisma.tree.delete({ where: { id: existing.id } })
+
+    res.status(204).send()
+  } catch (error) {
+    console.error('Error deleting tree:', error)
+    res.status(500).json({ error: 'Failed to delete tree' })
+  }
+})
+
 export default router
@@ -1,17 +1,20 @@
-import { Router } from 'express'
+import { Router, Request, Response, NextFunction } from 'express'
 import multer from 'multer'
-import sharp from 'sharp'
-import path from 'path'
+import fs from 'fs'
 import { authenticateToken } from '../middleware/auth'
+import { createImageDerivatives, InvalidImageError } from '../services/imageService'
 
 const router = Router()
 
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads'
+fs.mkdirSync(UPLOAD_DIR, { recursive: true })
+
 // Configure multer for file upload
 const storage = multer.memoryStorage()
 const upload = multer({
   storage,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE || '5242880') // 5MB
+    fileSize: parseInt(process.env.MAX_FILE_SIZE || '10485760') // 10MB, matches the client-side check
   },
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
@@ -22,28 +25,38 @@ const upload = multer({
   }
 })
 
+// Run multer so that rejected files answer with a 4xx instead of reaching
+// the generic 500 handler. Reads the multipart field `image`.
+export const receiveImage = (req: Request, res: Response, next: NextFunction) => {
+  upload.single('image')(req, res, (err: unknown) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'Image file is too large' })
+    }
+    if (err) {
+      return res.status(400).json({ error: (err as Error).message })
+    }
+    next()
+  })
+}
+
 // Upload image
-router.post('/image', authenticateToken, upload.single('image'), async (req, res) => {
+router.post('/image', authenticateToken, receiveImage, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' })
     }
     
-    // Generate unique filename
-    const filename = `tree-${Date.now()}-${Math.round(Math.random() * 1E9)}.jpg`
-    const filepath = path.join(process.env.UPLOAD_DIR || './uploads', filename)
-    
-    // Process image with sharp (resize, optimize)
-    await sharp(req.file.buffer)
-      .resize(800, 600, { fit: 'inside', withoutEnlargement: true })
-      .jpeg({ quality: 80 })
-      .toFile(filepath)
-    
-    // Return the file URL
-    const imageUrl = `/uploads/${filename}`
-    res.json({ imageUrl, filename })
+    // Generate unique base name; each derivative adds its size and format
+    const basename = `tree-${Date.now()}-${Math.round(Math.random() * 1E9)}`
+    const variants = await createImageDerivatives(req.file.buffer, UPLOAD_DIR, basename)
+
+    // imageUrl stays the full-size JPEG for clients that ignore variants
+    res.json({ imageUrl: variants.full.jpeg, filename: basename, variants })
     
   } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ error: error.message })
+    }
     res.status(500).json({ error: 'Failed to upload image' })
   }
 })
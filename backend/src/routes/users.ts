@@ -0,0 +1,262 @@
+import { Router } from 'express'
+import { PrismaClient } from '@prisma/client'
+import fs from 'fs'
+import path from 'path'
+import { authenticateToken } from '../middleware/auth'
+import { validateBody } from '../middleware/validate'
+import { updateProfileSchema, userSelect, toUserResponse, toPublicUserResponse } from '../schemas/user'
+import { createAvatarImage, InvalidImageError } from '../services/imageService'
+import { sumTreeBenefits, benefitTreeSelect, BENEFITS_METHODOLOGY } from '../services/benefits'
+import { resolvePageLimit } from '../utils/pagination'
+import { receiveImage, UPLOAD_DIR } from './upload'
+
+const router = Router()
+const prisma = new PrismaClient()
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 100
+
+// Community members, most trees first
+// Query: limit
+router.get('/', async (req, res) => {
+  const limit = resolvePageLimit(req.query.limit, DEFAULT_LIMIT, MAX_LIMIT)
+
+  try {
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        select: userSelect,
+        orderBy: [{ trees: { _count: 'desc' } }, { createdAt: 'asc' }],
+        take: limit
+      }),
+      prisma.user.count()
+    ])
+
+    res.set('X-Total-Count', String(total))
+    res.json(users.map(toPublicUserResponse))
+  } catch (error) {
+    console.error('Error fetching users:', error)
+    res.status(500).json({ error: 'Failed to fetch users' })
+  }
+})
+
+// The signed-in user's own account
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user!.userId },
+      select: userSelect
+    })
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    res.json(toUserResponse(user))
+  } catch (error) {
+    console.error('Error fetching profile:', error)
+    res.status(500).json({ error: 'Failed to fetch profile' })
+  }
+})
+
+// Planters the signed-in user follows, most recently followed first
+router.get('/me/following', authenticateToken, async (req, res) => {
+  try {
+    const follows = await prisma.follow.findMany({
+      where: { followerId: req.user!.userId },
+      select: { following: { select: userSelect } },
+      orderBy: { createdAt: 'desc' }
+    })
+
+    res.json(follows.map(follow => toPublicUserResponse(follow.following)))
+  } catch (error) {
+    console.error('Error fetching followed users:', error)
+    res.status(500).json({ error: 'Failed to fetch followed users' })
+  }
+})
+
+// Update the signed-in user's name and bio
+router.patch('/me', authenticateToken, validateBody(updateProfileSchema), async (req, res) => {
+  try {
+    // Cleared fields are stored as null, like accounts that never set them
+    const data = Object.fromEntries(
+      Object.entries(req.body).map(([field, value]) => [field, value || null])
+    )
+
+    const user = await prisma.user.update({
+      where: { id: req.user!.userId },
+      data,
+      select: userSelect
+    })
+
+    res.json(toUserResponse(user))
+  } catch (error) {
+    console.error('Error updating profile:', error)
+    res.status(500).json({ error: 'Failed to update profile' })
+  }
+})
+
+// The avatar about to be replaced, so its file can be deleted afterwards
+const findAvatar = async (userId: string) => {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { avatar: true } })
+  return user?.avatar ?? null
+}
+
+// Only files under /uploads are ours. One that cannot be deleted is left
+// behind rather than failing a request whose update already succeeded.
+const deleteAvatarFile = async (avatar: string | null) => {
+  if (!avatar?.startsWith('/uploads/')) return
+  try {
+    await fs.promises.unlink(path.join(UPLOAD_DIR, path.basename(avatar)))
+  } catch (error) {
+    console.warn('Failed to delete old avatar:', error)
+  }
+}
+
+// Replace the signed-in user's avatar with an uploaded image
+// Multipart field `image`; the image is cropped to a square
+router.post('/me/avatar', authenticateToken, receiveImage, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image file provided' })
+  }
+
+  try {
+    const basename = `avatar-${Date.now()}-${Math.round(Math.random() * 1E9)}`
+    const avatar = await createAvatarImage(req.file.buffer, UPLOAD_DIR, basename)
+    const previousAvatar = await findAvatar(req.user!.userId)
+
+    const user = await prisma.user.update({
+      where: { id: req.user!.userId },
+      data: { avatar },
+      select: userSelect
+    })
+    await deleteAvatarFile(previousAvatar)
+
+    res.json(toUserResponse(user))
+  } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ error: error.message })
+    }
+    console.error('Error uploading avatar:', error)
+    res.status(500).json({ error: 'Failed to upload avatar' })
+  }
+})
+
+// Go back to the default avatar
+router.delete('/me/avatar', authenticateToken, async (req, res) => {
+  try {
+    const previousAvatar = await findAvatar(req.user!.userId)
+
+    const user = await prisma.user.update({
+      where: { id: req.user!.userId },
+      data: { avatar: null },
+      select: userSelect
+    })
+    await deleteAvatarFile(previousAvatar)
+
+    res.json(toUserResponse(user))
+  } catch (error) {
+    console.error('Error removing avatar:', error)
+    res.status(500).json({ error: 'Failed to remove avatar' })
+  }
+})
+
+// Public profile of one user
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: userSelect
+    })
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    res.json(toPublicUserResponse(user))
+  } catch (error) {
+    console.error('Error fetching user:', error)
+    res.status(500).json({ error: 'Failed to fetch user' })
+  }
+})
+
+// Answer { following, followerCount } for the signed-in user and a planter
+const followStatus = async (followerId: string, followingId: string) => {
+  const [follow, followerCount] = await Promise.all([
+    prisma.follow.findUnique({
+      where: { followerId_followingId: { followerId, followingId } },
+      select: { followerId: true }
+    }),
+    prisma.follow.count({ where: { followingId } })
+  ])
+  return { following: !!follow, followerCount }
+}
+
+// Follow a planter's activity in the feed (protected). Safe to repeat.
+router.put('/:id/follow', authenticateToken, async (req, res) => {
+  const followerId = req.user!.userId
+
+  if (req.params.id === followerId) {
+    return res.status(400).json({ error: 'You cannot follow yourself' })
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: { id: true }
+    })
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    await prisma.follow.createMany({
+      data: [{ followerId, followingId: user.id }],
+      skipDuplicates: true
+    })
+
+    res.json(await followStatus(followerId, user.id))
+  } catch (error) {
+    console.error('Error following user:', error)
+    res.status(500).json({ error: 'Failed to follow user' })
+  }
+})
+
+// Stop following a planter (protected). Safe to repeat.
+router.delete('/:id/follow', authenticateToken, async (req, res) => {
+  const followerId = req.user!.userId
+
+  try {
+    await prisma.follow.deleteMany({ where: { followerId, followingId: req.params.id } })
+
+    res.json(await followStatus(followerId, req.params.id))
+  } catch (error) {
+    console.error('Error unfollowing user:', error)
+    res.status(500).json({ error: 'Failed to unfollow user' })
+  }
+})
+
+// Estimated benefits of all the trees a user pinned
+router.get('/:id/benefits', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: { id: true }
+    })
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    const trees = await prisma.tree.findMany({
+      where: { userId: user.id, hiddenAt: null },
+      select: benefitTreeSelect
+    })
+
+    res.json({ userId: user.id, ...sumTreeBenefits(trees), methodology: BENEFITS_METHODOLOGY })
+  } catch (error) {
+    console.error('Error estimating user benefits:', error)
+    res.status(500).json({ error: 'Failed to estimate benefits' })
+  }
+})
+
+export default router
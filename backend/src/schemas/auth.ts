@@ -0,0 +1,65 @@
+import Joi from 'joi'
+
+/**
+ * Auth schema
+ *
+ * Sign-in responses carry a short-lived access token and a refresh token:
+ *
+ *   { user, token, refreshToken, expiresIn }
+ *
+ * Users carry `isVerified`, false until the email address is confirmed.
+ *
+ * Sessions are listed as:
+ *
+ *   { id, userAgent, ipAddress, createdAt, lastUsedAt, expiresAt, current }
+ */
+
+// Emails are stored trimmed and lowercased, so an address matches its
+// account and ADMIN_EMAILS however it is typed
+export const normalizeEmail = (email: unknown) => typeof email === 'string' ? email.trim().toLowerCase() : ''
+
+// Body of POST /api/auth/refresh and /api/auth/logout
+export const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().trim().max(200).required()
+})
+
+// Same rule as the sign-up form
+const password = Joi.string().min(6).max(200)
+
+// Body of POST /api/auth/verify-email
+export const emailTokenSchema = Joi.object({
+  token: Joi.string().trim().max(200).required()
+})
+
+// Body of POST /api/auth/forgot-password
+export const forgotPasswordSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().max(320).required()
+})
+
+// Body of POST /api/auth/reset-password
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string().trim().max(200).required(),
+  password: password.required()
+})
+
+interface SessionRecord {
+  id: string
+  userAgent: string | null
+  ipAddress: string | null
+  createdAt: Date
+  lastUsedAt: Date
+  expiresAt: Date
+}
+
+/**
+ * Map a session to the API response shape
+ */
+export const toSessionResponse = (session: SessionRecord, currentSessionId?: string) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt.toISOString(),
+  lastUsedAt: session.lastUsedAt.toISOString(),
+  expiresAt: session.expiresAt.toISOString(),
+  current: session.id === currentSessionId
+})
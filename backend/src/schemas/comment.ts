@@ -0,0 +1,65 @@
+import Joi from 'joi'
+
+/**
+ * Tree comment schema
+ *
+ * A comment is a short message left under a tree:
+ *
+ *   { id, treeId, body,
+ *     author: { id, username, firstName, lastName, avatar } | null,
+ *     createdAt }
+ *
+ * `author` is null once the commenter's account has been deleted.
+ */
+
+export const COMMENT_MAX_LENGTH = 1000
+
+export const createCommentSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(COMMENT_MAX_LENGTH).required()
+})
+
+// Public author fields returned with every comment
+export const commentInclude = {
+  user: {
+    select: {
+      id: true,
+      username: true,
+      firstName: true,
+      lastName: true,
+      avatar: true
+    }
+  }
+}
+
+interface CommentRecord {
+  id: string
+  treeId: string
+  body: string
+  createdAt: Date
+  user?: {
+    id: string
+    username: string
+    firstName: string | null
+    lastName: string | null
+    avatar: string | null
+  } | null
+}
+
+/**
+ * Map a Prisma comment (with the author included) to the API shape
+ */
+export const toCommentResponse = (comment: CommentRecord) => ({
+  id: comment.id,
+  treeId: comment.treeId,
+  body: comment.body,
+  author: comment.user
+    ? {
+        id: comment.user.id,
+        username: comment.user.username,
+        firstName: comment.user.firstName,
+        lastName: comment.user.lastName,
+        avatar: comment.user.avatar
+      }
+    : null,
+  createdAt: comment.createdAt.toISOString()
+})
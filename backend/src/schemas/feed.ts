@@ -0,0 +1,69 @@
+import { TreeRecord, toTreeResponse } from './tree'
+import { toObservationResponse } from './observation'
+import { FeedEvent } from '../services/feedService'
+import { toEarnedBadgesResponse } from '../services/badgeService'
+
+/**
+ * Feed event schema
+ *
+ * Every event of GET /api/feed has the same envelope:
+ *
+ *   { id, type, createdAt,
+ *     actor: { id, username, firstName, lastName, avatar } | null,
+ *     tree, observation, badge }
+ *
+ * `type` says which of the last three is set; the others are null:
+ *
+ *   - `tree`: a tree was pinned. `tree` is the tree (see schemas/tree.ts)
+ *   - `observation`: an observation was recorded. `observation` is the
+ *     observation (see schemas/observation.ts) and `tree` the tree observed
+ *   - `badge`: a badge was earned, `{ id, name, description, icon, earnedAt }`
+ *
+ * `id` is unique across types. `actor` is the planter who did it.
+ */
+
+type Actor = { id: string, username: string, firstName: string | null, lastName: string | null, avatar: string | null }
+
+const toActorResponse = (user?: Actor | null) => user
+  ? {
+      id: user.id,
+      username: user.username,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      avatar: user.avatar
+    }
+  : null
+
+/**
+ * Map a feed event from services/feedService.ts to the API shape
+ */
+export const toFeedEventResponse = (event: FeedEvent<TreeRecord>) => {
+  const envelope = { id: `${event.type}:${event.id}`, type: event.type, createdAt: event.time.toISOString() }
+
+  switch (event.type) {
+    case 'tree':
+      return {
+        ...envelope,
+        actor: toActorResponse(event.tree.user),
+        tree: toTreeResponse(event.tree),
+        observation: null,
+        badge: null
+      }
+    case 'observation':
+      return {
+        ...envelope,
+        actor: toActorResponse(event.observation.user),
+        tree: toTreeResponse(event.observation.tree),
+        observation: toObservationResponse(event.observation),
+        badge: null
+      }
+    case 'badge':
+      return {
+        ...envelope,
+        actor: toActorResponse(event.badge.user),
+        tree: null,
+        observation: null,
+        badge: toEarnedBadgesResponse([event.badge])[0] ?? null
+      }
+  }
+}
@@ -0,0 +1,101 @@
+import Joi from 'joi'
+
+/**
+ * Moderation schema
+ *
+ * Reports are returned as:
+ *
+ *   { id, reason, details, reporter: { id, username } | null, createdAt }
+ *
+ * The moderation queue lists trees with their open reports:
+ *
+ *   { tree, hiddenAt, reports, lastReportedAt }
+ *
+ * Moderator decisions are logged as:
+ *
+ *   { id, action, reason, treeId, treeName,
+ *     moderator: { id, username } | null, createdAt }
+ *
+ * `reason` of a report is one of REPORT_REASONS; `action` is one of
+ * MODERATION_ACTIONS. `treeId` is null once the tree was deleted.
+ */
+
+export const REPORT_REASONS = ['SPAM', 'OFFENSIVE', 'NOT_A_TREE', 'WRONG_INFORMATION', 'OTHER'] as const
+export const MODERATION_ACTIONS = ['HIDE', 'RESTORE', 'DELETE'] as const
+export type ReportReasonValue = typeof REPORT_REASONS[number]
+export type ModerationActionValue = typeof MODERATION_ACTIONS[number]
+
+// Body of POST /api/trees/:id/reports
+export const reportTreeSchema = Joi.object({
+  // Accept any casing from clients; stored uppercase to match the enum
+  reason: Joi.string().uppercase().valid(...REPORT_REASONS).required(),
+  details: Joi.string().trim().max(1000).allow('')
+    .when('reason', { is: 'OTHER', then: Joi.required().invalid('') })
+    .messages({ 'any.invalid': 'details are required when the reason is OTHER' })
+})
+
+// Body of the hide, restore and delete actions
+export const moderationActionSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required()
+})
+
+// Query of GET /api/moderation/queue
+export const moderationQueueSchema = Joi.object({
+  status: Joi.string().lowercase().valid('open', 'hidden').default('open'),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+})
+
+const personSelect = { select: { id: true, username: true } }
+
+// Reporter of each report and moderator of each action
+export const reportInclude = { reporter: personSelect }
+export const moderationActionInclude = { moderator: personSelect }
+
+interface Person {
+  id: string
+  username: string
+}
+
+export interface ReportRecord {
+  id: string
+  reason: string
+  details: string | null
+  createdAt: Date
+  reporter?: Person | null
+}
+
+interface ModerationActionRecord {
+  id: string
+  action: string
+  reason: string
+  treeId: string | null
+  treeName: string
+  createdAt: Date
+  moderator?: Person | null
+}
+
+const toPerson = (person?: Person | null) => person ? { id: person.id, username: person.username } : null
+
+/**
+ * Map a Prisma report (with the reporter included) to the API shape
+ */
+export const toReportResponse = (report: ReportRecord) => ({
+  id: report.id,
+  reason: report.reason,
+  details: report.details ?? '',
+  reporter: toPerson(report.reporter),
+  createdAt: report.createdAt.toISOString()
+})
+
+/**
+ * Map a Prisma moderation action (with the moderator included) to the API shape
+ */
+export const toModerationActionResponse = (action: ModerationActionRecord) => ({
+  id: action.id,
+  action: action.action,
+  reason: action.reason,
+  treeId: action.treeId,
+  treeName: action.treeName,
+  moderator: toPerson(action.moderator),
+  createdAt: action.createdAt.toISOString()
+})
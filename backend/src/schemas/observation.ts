@@ -0,0 +1,63 @@
+import Joi from 'joi'
+import { TREE_STATUSES, imageVariantsSchema } from './tree'
+
+/**
+ * Tree observation schema
+ *
+ * An observation records what a steward saw on a given day:
+ *
+ *   { id, treeId, observedAt, status, notes, imageUrl, imageVariants,
+ *     observer: { id, username, firstName, lastName, avatar } | null,
+ *     createdAt }
+ *
+ * The tree's own `status` always mirrors its most recent observation.
+ */
+
+export const createObservationSchema = Joi.object({
+  status: Joi.string().uppercase().valid(...TREE_STATUSES).required(),
+  observedAt: Joi.date().iso().max('now'),
+  notes: Joi.string().trim().max(2000).allow(''),
+  imageUrl: Joi.string().trim().max(2000).allow(null),
+  imageVariants: imageVariantsSchema
+})
+
+interface ObservationRecord {
+  id: string
+  treeId: string
+  observedAt: Date
+  status: string
+  notes: string | null
+  imageUrl: string | null
+  imageVariants?: unknown
+  createdAt: Date
+  user?: {
+    id: string
+    username: string
+    firstName: string | null
+    lastName: string | null
+    avatar: string | null
+  } | null
+}
+
+/**
+ * Map a Prisma observation (with the observer included) to the API shape
+ */
+export const toObservationResponse = (observation: ObservationRecord) => ({
+  id: observation.id,
+  treeId: observation.treeId,
+  observedAt: observation.observedAt.toISOString(),
+  status: observation.status,
+  notes: observation.notes ?? '',
+  imageUrl: observation.imageUrl ?? null,
+  imageVariants: observation.imageVariants ?? null,
+  observer: observation.user
+    ? {
+        id: observation.user.id,
+        username: observation.user.username,
+        firstName: observation.user.firstName,
+        lastName: observation.user.lastName,
+        avatar: observation.user.avatar
+      }
+    : null,
+  createdAt: observation.createdAt.toISOString()
+})
@@ -0,0 +1,28 @@
+/**
+ * Species schema
+ *
+ * Catalog entries returned by /api/species and embedded in trees as
+ * `speciesInfo`:
+ *
+ *   { id, scientificName, commonName, commonNames, family, rank }
+ *
+ * `rank` is "species" or "genus"; genus entries cover names like "Oak"
+ * that do not pin down a single species.
+ */
+
+export interface SpeciesRecord {
+  id: string
+  scientificName: string
+  commonNames: string[]
+  family: string
+  rank?: string
+}
+
+export const toSpeciesResponse = (species: SpeciesRecord) => ({
+  id: species.id,
+  scientificName: species.scientificName,
+  commonName: species.commonNames[0] ?? null,
+  commonNames: species.commonNames,
+  family: species.family,
+  rank: species.rank ?? 'species'
+})
@@ -0,0 +1,169 @@
+import Joi from 'joi'
+import { SpeciesRecord, toSpeciesResponse } from './species'
+import { MAX_DUPLICATE_RADIUS_METERS } from '../services/duplicateService'
+
+/**
+ * Tree schema
+ *
+ * Single source of truth for the tree wire format. Request bodies are
+ * validated here before they reach Prisma, and every tree leaving the API
+ * goes through `toTreeResponse` so clients always get the same shape:
+ *
+ *   { id, name, species, speciesId, speciesInfo, description, datePlanted,
+ *     latitude, longitude, address, city, district, imageUrl, imageAlt, imageVariants,
+ *     status, tags, user: { id, username, firstName, lastName, avatar },
+ *     likeCount, commentCount, createdAt, updatedAt }
+ *
+ * `status` is one of TREE_STATUSES (uppercase) and dates are ISO strings.
+ * `species` is the name as entered; `speciesInfo` is the linked catalog
+ * entry (see schemas/species.ts) or null when the name is not in the catalog.
+ * `city` and `district` come from geocoding the location and may be null.
+ */
+
+export const TREE_STATUSES = ['HEALTHY', 'FLOWERING', 'DISEASED', 'DEAD'] as const
+export type TreeStatusValue = typeof TREE_STATUSES[number]
+
+const imageDerivative = Joi.object({
+  width: Joi.number().integer().positive().required(),
+  height: Joi.number().integer().positive().required(),
+  jpeg: Joi.string().required(),
+  webp: Joi.string().required()
+})
+
+// Derivatives returned by /api/upload/image
+export const imageVariantsSchema = Joi.object({
+  thumbnail: imageDerivative,
+  card: imageDerivative,
+  full: imageDerivative
+}).allow(null)
+
+const fields = {
+  name: Joi.string().trim().min(1).max(200),
+  species: Joi.string().trim().min(1).max(200),
+  // Catalog entry picked in the autocomplete; matched from `species` when absent
+  speciesId: Joi.string().trim().max(100).allow(null),
+  description: Joi.string().trim().max(5000).allow(''),
+  datePlanted: Joi.date().iso().max('now').allow(null),
+  // 0,0 is what empty forms and broken GPS fixes produce, never a real tree
+  latitude: Joi.number().min(-90).max(90).when('longitude', {
+    is: 0,
+    then: Joi.invalid(0).messages({ 'any.invalid': 'latitude and longitude cannot both be 0; pick the tree location on the map' })
+  }),
+  longitude: Joi.number().min(-180).max(180),
+  address: Joi.string().trim().max(500).allow(''),
+  // Filled from geocoding when omitted
+  city: Joi.string().trim().max(100).allow('', null),
+  district: Joi.string().trim().max(100).allow('', null),
+  imageUrl: Joi.string().trim().max(2000),
+  imageAlt: Joi.string().trim().max(500).allow('', null),
+  imageVariants: imageVariantsSchema,
+  // Accept any casing from clients; stored uppercase to match the enum
+  status: Joi.string().uppercase().valid(...TREE_STATUSES),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).unique(),
+  // Generated by the client when a tree is captured; makes creation idempotent
+  clientId: Joi.string().trim().max(100)
+}
+
+export const createTreeSchema = Joi.object({
+  ...fields,
+  name: fields.name.required(),
+  species: fields.species.required(),
+  latitude: fields.latitude.required(),
+  longitude: fields.longitude.required(),
+  imageUrl: fields.imageUrl.required(),
+  description: fields.description.default(''),
+  address: fields.address.default(''),
+  tags: fields.tags.default([]),
+  // Create the tree even when a tree of the same species is pinned close by
+  allowDuplicate: Joi.boolean().default(false)
+})
+
+// Rows from bulk imports: inventories rarely come with photos, so those
+// trees start without one and show the default image. Imports run their
+// own duplicate check.
+export const importTreeSchema = createTreeSchema.keys({
+  imageUrl: fields.imageUrl.allow('').default(''),
+  allowDuplicate: Joi.any().strip()
+})
+
+// Query of GET /api/trees/duplicates
+export const duplicateQuerySchema = Joi.object({
+  latitude: fields.latitude.required(),
+  longitude: fields.longitude.required(),
+  species: fields.species.required(),
+  speciesId: fields.speciesId,
+  radius: Joi.number().greater(0).max(MAX_DUPLICATE_RADIUS_METERS)
+})
+
+const { clientId, ...updatableFields } = fields
+export const updateTreeSchema = Joi.object(updatableFields).min(1)
+
+export interface TreeRecord {
+  id: string
+  name: string
+  species: string | null
+  speciesId?: string | null
+  catalogSpecies?: SpeciesRecord | null
+  description: string | null
+  datePlanted: Date | null
+  latitude: number
+  longitude: number
+  address: string | null
+  city?: string | null
+  district?: string | null
+  imageUrl: string
+  imageAlt: string | null
+  imageVariants?: unknown
+  status: string
+  tags: string[]
+  userId: string
+  createdAt: Date
+  updatedAt: Date
+  user?: {
+    id: string
+    username: string
+    firstName: string | null
+    lastName: string | null
+    avatar: string | null
+  } | null
+  _count?: {
+    likes: number
+    comments: number
+  }
+}
+
+/**
+ * Map a Prisma tree (with the planter included) to the API response shape
+ */
+export const toTreeResponse = (tree: TreeRecord) => ({
+  id: tree.id,
+  name: tree.name,
+  species: tree.species ?? '',
+  speciesId: tree.speciesId ?? null,
+  speciesInfo: tree.catalogSpecies ? toSpeciesResponse(tree.catalogSpecies) : null,
+  description: tree.description ?? '',
+  datePlanted: tree.datePlanted ? tree.datePlanted.toISOString() : null,
+  latitude: tree.latitude,
+  longitude: tree.longitude,
+  address: tree.address ?? '',
+  city: tree.city || null,
+  district: tree.district || null,
+  imageUrl: tree.imageUrl,
+  imageAlt: tree.imageAlt ?? null,
+  imageVariants: tree.imageVariants ?? null,
+  status: tree.status,
+  tags: tree.tags ?? [],
+  user: tree.user
+    ? {
+        id: tree.user.id,
+        username: tree.user.username,
+        firstName: tree.user.firstName,
+        lastName: tree.user.lastName,
+        avatar: tree.user.avatar
+      }
+    : null,
+  likeCount: tree._count?.likes ?? 0,
+  commentCount: tree._count?.comments ?? 0,
+  createdAt: tree.createdAt.toISOString(),
+  updatedAt: tree.updatedAt.toISOString()
+})
@@ -0,0 +1,90 @@
+import Joi from 'joi'
+import { ROLES, effectiveRole } from '../services/roleService'
+import { toEarnedBadgesResponse } from '../services/badgeService'
+
+/**
+ * User schema
+ *
+ * The signed-in user sees their own account as:
+ *
+ *   { id, email, username, firstName, lastName, avatar, bio, isVerified,
+ *     role, treeCount, followerCount, followingCount, badges, createdAt }
+ *
+ * Everyone else sees the public profile, without `email`, `isVerified`
+ * and `role`. `role` is one of ROLES (see services/roleService.ts).
+ * `avatar` is a URL (uploaded avatars live under /uploads) or null.
+ * `badges` are the earned ones, { id, name, description, icon, earnedAt }
+ * (see services/badgeService.ts).
+ */
+
+// Body of PATCH /api/users/me. Empty strings clear a field.
+export const updateProfileSchema = Joi.object({
+  firstName: Joi.string().trim().max(100).allow('', null),
+  lastName: Joi.string().trim().max(100).allow('', null),
+  bio: Joi.string().trim().max(500).allow('', null)
+}).min(1)
+
+// Body of PATCH /api/admin/users/:id/role
+export const updateRoleSchema = Joi.object({
+  // Accept any casing from clients; stored uppercase to match the enum
+  role: Joi.string().uppercase().valid(...ROLES).required()
+})
+
+// Fields read for every user response
+export const userSelect = {
+  id: true,
+  email: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  avatar: true,
+  bio: true,
+  isVerified: true,
+  role: true,
+  createdAt: true,
+  // Trees hidden by moderators are not shown, so they are not counted either
+  _count: { select: { trees: { where: { hiddenAt: null } }, followers: true, following: true } },
+  badges: { select: { badge: true, earnedAt: true } }
+}
+
+export interface UserRecord {
+  id: string
+  email: string
+  username: string
+  firstName: string | null
+  lastName: string | null
+  avatar: string | null
+  bio?: string | null
+  isVerified: boolean
+  role?: string
+  createdAt: Date
+  _count?: { trees: number, followers?: number, following?: number }
+  badges?: Array<{ badge: string, earnedAt: Date }>
+}
+
+/**
+ * Map a Prisma user to the public profile shape
+ */
+export const toPublicUserResponse = (user: UserRecord) => ({
+  id: user.id,
+  username: user.username,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  avatar: user.avatar,
+  bio: user.bio ?? '',
+  treeCount: user._count?.trees ?? 0,
+  followerCount: user._count?.followers ?? 0,
+  followingCount: user._count?.following ?? 0,
+  badges: toEarnedBadgesResponse(user.badges ?? []),
+  createdAt: user.createdAt.toISOString()
+})
+
+/**
+ * Map a Prisma user to the shape its owner sees
+ */
+export const toUserResponse = (user: UserRecord) => ({
+  ...toPublicUserResponse(user),
+  email: user.email,
+  isVerified: user.isVerified,
+  role: effectiveRole(user)
+})
@@ -0,0 +1,104 @@
+import { PrismaClient } from '@prisma/client'
+import { AccountTokenError, consumeAccountToken, issueAccountToken } from './accountTokenService'
+
+interface TokenRow {
+  userId: string
+  purpose: string
+  tokenHash: string
+  expiresAt: Date
+  usedAt: Date | null
+  createdAt: Date
+}
+
+// The accountToken queries the service makes, over an in-memory table
+const createFakePrisma = () => {
+  const rows: TokenRow[] = []
+  const prisma = {
+    rows,
+    accountToken: {
+      deleteMany: async ({ where }: { where: { userId: string, purpose: string, usedAt: null } }) => {
+        const kept = rows.filter(row => !(row.userId === where.userId && row.purpose === where.purpose && row.usedAt === null))
+        const count = rows.length - kept.length
+        rows.splice(0, rows.length, ...kept)
+        return { count }
+      },
+      create: async ({ data }: { data: Omit<TokenRow, 'usedAt' | 'createdAt'> }) => {
+        const row = { ...data, usedAt: null, createdAt: new Date() }
+        rows.push(row)
+        return row
+      },
+      findUnique: async ({ where }: { where: { tokenHash: string } }) =>
+        rows.find(row => row.tokenHash === where.tokenHash) ?? null,
+      updateMany: async ({ where, data }: {
+        where: { tokenHash: string, purpose: string, usedAt: null, expiresAt: { gt: Date } },
+        data: { usedAt: Date }
+      }) => {
+        const matches = rows.filter(row => row.tokenHash === where.tokenHash && row.purpose === where.purpose &&
+          row.usedAt === null && row.expiresAt > where.expiresAt.gt)
+        matches.forEach(row => Object.assign(row, data))
+        return { count: matches.length }
+      }
+    },
+    $transaction: (queries: Array<Promise<unknown>>) => Promise.all(queries)
+  }
+  return prisma
+}
+
+describe('consumeAccountToken', () => {
+  let fake: ReturnType<typeof createFakePrisma>
+  let prisma: PrismaClient
+
+  beforeEach(() => {
+    fake = createFakePrisma()
+    prisma = fake as unknown as PrismaClient
+  })
+
+  it('returns the user of a fresh token', async () => {
+    const token = await issueAccountToken(prisma, 'user-1', 'VERIFY_EMAIL')
+
+    await expect(consumeAccountToken(prisma, token, 'VERIFY_EMAIL')).resolves.toBe('user-1')
+  })
+
+  it('accepts a token only once', async () => {
+    const token = await issueAccountToken(prisma, 'user-1', 'RESET_PASSWORD')
+    await consumeAccountToken(prisma, token, 'RESET_PASSWORD')
+
+    await expect(consumeAccountToken(prisma, token, 'RESET_PASSWORD')).rejects.toThrow(AccountTokenError)
+  })
+
+  it('lets only one of two simultaneous uses through', async () => {
+    const token = await issueAccountToken(prisma, 'user-1', 'VERIFY_EMAIL')
+
+    const results = await Promise.allSettled([
+      consumeAccountToken(prisma, token, 'VERIFY_EMAIL'),
+      consumeAccountToken(prisma, token, 'VERIFY_EMAIL')
+    ])
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1)
+  })
+
+  it('rejects an expired token', async () => {
+    const token = await issueAccountToken(prisma, 'user-1', 'RESET_PASSWORD')
+    fake.rows[0].expiresAt = new Date(Date.now() - 1000)
+
+    await expect(consumeAccountToken(prisma, token, 'RESET_PASSWORD')).rejects.toThrow(AccountTokenError)
+  })
+
+  it('rejects a token meant for something else', async () => {
+    const token = await issueAccountToken(prisma, 'user-1', 'VERIFY_EMAIL')
+
+    await expect(consumeAccountToken(prisma, token, 'RESET_PASSWORD')).rejects.toThrow(AccountTokenError)
+  })
+
+  it('rejects a token replaced by a newer one', async () => {
+    const first = await issueAccountToken(prisma, 'user-1', 'VERIFY_EMAIL')
+    const second = await issueAccountToken(prisma, 'user-1', 'VERIFY_EMAIL')
+
+    await expect(consumeAccountToken(prisma, first, 'VERIFY_EMAIL')).rejects.toThrow(AccountTokenError)
+    await expect(consumeAccountToken(prisma, second, 'VERIFY_EMAIL')).resolves.toBe('user-1')
+  })
+
+  it('rejects an unknown token', async () => {
+    await expect(consumeAccountToken(prisma, 'not-a-token', 'VERIFY_EMAIL')).rejects.toThrow(AccountTokenError)
+  })
+})
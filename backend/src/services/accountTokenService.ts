@@ -0,0 +1,85 @@
+import { PrismaClient } from '@prisma/client'
+import { hashToken, newOpaqueToken } from '../utils/tokens'
+
+/**
+ * Tokens behind the links in account emails: confirming an email address
+ * and resetting a forgotten password. Each works once and only for its
+ * purpose; issuing a new one retires the previous ones, so only the link
+ * in the latest email is valid.
+ */
+
+export type AccountTokenPurpose = 'VERIFY_EMAIL' | 'RESET_PASSWORD'
+
+export const VERIFY_EMAIL_TTL_HOURS = parseInt(process.env.VERIFY_EMAIL_TTL_HOURS || '48')
+export const RESET_PASSWORD_TTL_MINUTES = parseInt(process.env.RESET_PASSWORD_TTL_MINUTES || '60')
+
+// Minimum time between two emails of the same kind to one account
+export const RESEND_INTERVAL_SECONDS = 60
+
+const TTL_MS: Record<AccountTokenPurpose, number> = {
+  VERIFY_EMAIL: VERIFY_EMAIL_TTL_HOURS * 60 * 60 * 1000,
+  RESET_PASSWORD: RESET_PASSWORD_TTL_MINUTES * 60 * 1000
+}
+
+export class AccountTokenError extends Error {}
+
+/**
+ * Create a token for a user, replacing any unused one of the same purpose
+ */
+export const issueAccountToken = async (prisma: PrismaClient, userId: string, purpose: AccountTokenPurpose) => {
+  const token = newOpaqueToken(32)
+
+  await prisma.$transaction([
+    prisma.accountToken.deleteMany({ where: { userId, purpose, usedAt: null } }),
+    prisma.accountToken.create({
+      data: {
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TTL_MS[purpose])
+      }
+    })
+  ])
+
+  return token
+}
+
+/**
+ * Seconds until another token of this purpose may be sent to the user,
+ * 0 when one may be sent now
+ */
+export const secondsUntilResend = async (prisma: PrismaClient, userId: string, purpose: AccountTokenPurpose) => {
+  const latest = await prisma.accountToken.findFirst({
+    where: { userId, purpose },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true }
+  })
+  if (!latest) return 0
+
+  const elapsed = (Date.now() - latest.createdAt.getTime()) / 1000
+  return Math.max(0, Math.ceil(RESEND_INTERVAL_SECONDS - elapsed))
+}
+
+/**
+ * Use up a token and return the id of its user. Throws AccountTokenError
+ * when the token is unknown, expired, already used or meant for something
+ * else.
+ */
+export const consumeAccountToken = async (prisma: PrismaClient, token: string, purpose: AccountTokenPurpose) => {
+  const tokenHash = hashToken(token)
+  const record = await prisma.accountToken.findUnique({
+    where: { tokenHash },
+    select: { userId: true }
+  })
+
+  // Conditional, so a token clicked twice at once is still used only once
+  const { count } = await prisma.accountToken.updateMany({
+    where: { tokenHash, purpose, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() }
+  })
+  if (!record || count === 0) {
+    throw new AccountTokenError('This link is invalid or has expired')
+  }
+
+  return record.userId as string
+}
@@ -0,0 +1,176 @@
+import { PrismaClient } from '@prisma/client'
+
+/**
+ * Achievements. Each badge is a rule over a planter's activity; rules are
+ * checked again whenever the planter's trees or observations change and at
+ * sign-in, so accounts from before a rule existed catch up. Badges are kept
+ * once earned, even if the trees behind them are later deleted.
+ */
+
+export interface BadgeStats {
+  treeCount: number
+  speciesCount: number
+  // Observations of trees planted by someone else
+  stewardObservationCount: number
+  // A tree of theirs was last seen healthy at least a year after planting
+  hasYearOldHealthyTree: boolean
+}
+
+export interface BadgeRule {
+  id: string
+  name: string
+  description: string
+  icon: string
+  isEarned: (stats: BadgeStats) => boolean
+}
+
+// Listed in the order profiles show them; ids are stored, so never rename one
+export const BADGES: BadgeRule[] = [
+  {
+    id: 'first-tree',
+    name: 'First Roots',
+    description: 'Pinned your first tree',
+    icon: '🌱',
+    isEarned: stats => stats.treeCount >= 1
+  },
+  {
+    id: 'ten-trees',
+    name: 'Grove Keeper',
+    description: 'Pinned 10 trees',
+    icon: '🌳',
+    isEarned: stats => stats.treeCount >= 10
+  },
+  {
+    id: 'five-species',
+    name: 'Biodiversity Buff',
+    description: 'Pinned trees of 5 different species',
+    icon: '🍂',
+    isEarned: stats => stats.speciesCount >= 5
+  },
+  {
+    id: 'healthy-after-a-year',
+    name: 'Green Thumb',
+    description: 'A tree of yours was still healthy a year after it was planted',
+    icon: '💚',
+    isEarned: stats => stats.hasYearOldHealthyTree
+  },
+  {
+    id: 'steward',
+    name: 'Steward',
+    description: "Recorded 10 observations of other planters' trees",
+    icon: '🔍',
+    isEarned: stats => stats.stewardObservationCount >= 10
+  }
+]
+
+const ONE_YEAR_MS = 365 * 24 * 60 * 60 * 1000
+
+// Flowering trees are doing fine too
+const THRIVING_STATUSES = ['HEALTHY', 'FLOWERING']
+
+const speciesKey = (tree: { species: string | null, speciesId: string | null }) =>
+  tree.speciesId ?? (tree.species ?? '').trim().replace(/\s+/g, ' ').toLowerCase()
+
+/**
+ * Gather what the rules look at. Trees hidden by moderators do not count.
+ */
+export const loadBadgeStats = async (prisma: PrismaClient, userId: string): Promise<BadgeStats> => {
+  const [trees, stewardObservationCount] = await Promise.all([
+    prisma.tree.findMany({
+      where: { userId, hiddenAt: null },
+      select: {
+        species: true,
+        speciesId: true,
+        status: true,
+        datePlanted: true,
+        createdAt: true,
+        observations: {
+          orderBy: [{ observedAt: 'desc' }, { createdAt: 'desc' }],
+          take: 1,
+          select: { observedAt: true }
+        }
+      }
+    }),
+    prisma.treeObservation.count({
+      where: { userId, tree: { userId: { not: userId }, hiddenAt: null } }
+    })
+  ])
+
+  const species = new Set(trees.map(speciesKey).filter(Boolean))
+
+  // A tree's status is the status of its latest observation
+  const hasYearOldHealthyTree = trees.some(tree => {
+    const latest = tree.observations[0]
+    if (!latest || !THRIVING_STATUSES.includes(tree.status)) return false
+    const planted = tree.datePlanted ?? tree.createdAt
+    return latest.observedAt.getTime() - planted.getTime() >= ONE_YEAR_MS
+  })
+
+  return {
+    treeCount: trees.length,
+    speciesCount: species.size,
+    stewardObservationCount,
+    hasYearOldHealthyTree
+  }
+}
+
+/**
+ * Check every rule for a user and store the badges they have just earned.
+ * Returns the ids of the new badges.
+ */
+export const awardBadges = async (prisma: PrismaClient, userId: string) => {
+  const [stats, earned] = await Promise.all([
+    loadBadgeStats(prisma, userId),
+    prisma.userBadge.findMany({ where: { userId }, select: { badge: true } })
+  ])
+
+  const held = new Set(earned.map(entry => entry.badge))
+  const newBadges = BADGES
+    .filter(badge => !held.has(badge.id) && badge.isEarned(stats))
+    .map(badge => badge.id)
+
+  if (newBadges.length > 0) {
+    // Two requests of one user can evaluate at the same time
+    await prisma.userBadge.createMany({
+      data: newBadges.map(badge => ({ userId, badge })),
+      skipDuplicates: true
+    })
+  }
+
+  return newBadges
+}
+
+/**
+ * awardBadges for each user, logging failures: a badge is never worth
+ * failing the request that earned it
+ */
+export const refreshBadges = async (prisma: PrismaClient, userIds: string[]) => {
+  for (const userId of new Set(userIds)) {
+    try {
+      await awardBadges(prisma, userId)
+    } catch (error) {
+      console.error(`Error awarding badges to ${userId}:`, error)
+    }
+  }
+}
+
+/**
+ * Map a badge definition to the API shape
+ */
+export const toBadgeResponse = (badge: BadgeRule) => ({
+  id: badge.id,
+  name: badge.name,
+  description: badge.description,
+  icon: badge.icon
+})
+
+/**
+ * Map stored badges to the API shape, in the order of BADGES. Badges of
+ * rules that no longer exist are left out.
+ */
+export const toEarnedBadgesResponse = (earned: Array<{ badge: string, earnedAt: Date }>) => {
+  const earnedAt = new Map(earned.map(entry => [entry.badge, entry.earnedAt]))
+  return BADGES
+    .filter(badge => earnedAt.has(badge.id))
+    .map(badge => ({ ...toBadgeResponse(badge), earnedAt: earnedAt.get(badge.id)!.toISOString() }))
+}
@@ -0,0 +1,37 @@
+import { estimateTreeBenefits } from './index'
+
+describe('estimateTreeBenefits', () => {
+  const now = new Date('2026-06-01T00:00:00Z')
+  const foundDead = new Date('2016-06-01T00:00:00Z')
+  const tree = (status: string, observedAt = now) => ({
+    species: 'Oak',
+    datePlanted: new Date('2006-06-01T00:00:00Z'),
+    createdAt: new Date('2024-01-01T00:00:00Z'),
+    status,
+    catalogSpecies: null,
+    observations: [{ observedAt }]
+  })
+
+  it('stops adding CO2 to a dead tree once it was found dead', () => {
+    const dead = tree('DEAD', foundDead)
+    const later = new Date('2031-06-01T00:00:00Z')
+
+    const estimate = estimateTreeBenefits(dead, now)
+    expect(estimate.co2SequesteredKg).toBeGreaterThan(0)
+    expect(estimate.co2SequesteredKg).toBe(estimateTreeBenefits(tree('HEALTHY'), foundDead).co2SequesteredKg)
+    expect(estimate.co2SequesteredKg).toBeLessThan(estimateTreeBenefits(tree('HEALTHY'), now).co2SequesteredKg)
+    expect(estimateTreeBenefits(dead, later).co2SequesteredKg).toBe(estimate.co2SequesteredKg)
+
+    expect(estimate.co2PerYearKg).toBe(0)
+    expect(estimate.stormwaterLitersPerYear).toBe(0)
+    expect(estimate.airPollutantsGramsPerYear).toBe(0)
+  })
+
+  it('halves the yearly figures of a diseased tree', () => {
+    const healthy = estimateTreeBenefits(tree('HEALTHY'), now)
+    const diseased = estimateTreeBenefits(tree('DISEASED'), now)
+
+    expect(diseased.co2SequesteredKg).toBe(healthy.co2SequesteredKg)
+    expect(diseased.co2PerYearKg).toBeCloseTo(healthy.co2PerYearKg / 2, 0)
+  })
+})
@@ -0,0 +1,174 @@
+import profiles from './growth.json'
+
+/**
+ * Ecosystem benefit estimates: CO2 a tree has captured, and what it does
+ * each year for carbon, stormwater and air quality. Driven by growth.json,
+ * a per-genus table (with overrides for species that grow unlike their
+ * genus) of how fast a tree grows and what it captures once mature.
+ *
+ * These are indicative figures for communicating impact, not measurements:
+ * nobody has measured trunk diameters. BENEFITS_METHODOLOGY is returned with
+ * every estimate so readers know how they were made.
+ */
+
+export interface GrowthProfile {
+  scientificName: string
+  growthRate: 'slow' | 'moderate' | 'fast'
+  matureCo2KgPerYear: number
+  yearsToMaturity: number
+  canopy: 'small' | 'medium' | 'large'
+  leafType: 'broadleaf' | 'conifer' | 'palm'
+}
+
+// Fields of a tree the estimate needs; select with benefitTreeSelect
+export interface BenefitTree {
+  species: string | null
+  datePlanted: Date | null
+  createdAt: Date
+  status: string
+  catalogSpecies?: { scientificName: string } | null
+  // The latest observation, which set the status; for a dead tree, when it was found dead
+  observations: Array<{ observedAt: Date }>
+}
+
+export const benefitTreeSelect = {
+  species: true,
+  datePlanted: true,
+  createdAt: true,
+  status: true,
+  catalogSpecies: { select: { scientificName: true } },
+  observations: {
+    orderBy: [{ observedAt: 'desc' as const }, { createdAt: 'desc' as const }],
+    take: 1,
+    select: { observedAt: true }
+  }
+}
+
+// Used for trees without a catalog species, or a genus missing from the table
+const DEFAULT_PROFILE: GrowthProfile = {
+  scientificName: '',
+  growthRate: 'moderate',
+  matureCo2KgPerYear: 20,
+  yearsToMaturity: 30,
+  canopy: 'medium',
+  leafType: 'broadleaf'
+}
+
+// Crown area of a mature tree, m²
+const CANOPY_AREA_M2 = { small: 20, medium: 60, large: 120 }
+
+// Share of the rain falling on the crown that the leaves hold back
+const RAIN_INTERCEPTION = { broadleaf: 0.15, conifer: 0.25, palm: 0.1 }
+
+const ANNUAL_RAINFALL_MM = 800
+
+// Ozone, NO2, SO2 and particulates removed per m² of crown per year
+const POLLUTANT_REMOVAL_G_PER_M2 = 8
+
+// Diseased trees grow at half speed; dead ones capture nothing more. Only
+// the yearly figures are scaled: CO2 captured before stays captured.
+const STATUS_FACTOR: Record<string, number> = { HEALTHY: 1, FLOWERING: 1, DISEASED: 0.5, DEAD: 0 }
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000
+
+export const BENEFITS_METHODOLOGY = {
+  summary: 'Indicative estimates from a per-species growth table and the age of each tree. They are not measurements and may be off by a factor of two either way for any single tree.',
+  assumptions: [
+    'Each genus (or species, where it grows differently) has an annual CO2 uptake at maturity and an age at which it matures, rounded from published urban forest ranges (USDA Forest Service i-Tree and Center for Urban Forest Research).',
+    'A tree grows linearly: at half its age of maturity it captures half the mature rate and has half the mature crown. CO2 captured to date adds up every year since planting.',
+    'Age counts from the planting date. Trees without one count from the day they were pinned, which understates older trees.',
+    'Trees without a catalog species use a medium-sized broadleaf profile.',
+    `Stormwater is the rain held back by the crown: ${ANNUAL_RAINFALL_MM} mm of rain a year, of which broadleaves intercept ${RAIN_INTERCEPTION.broadleaf * 100}%, conifers ${RAIN_INTERCEPTION.conifer * 100}% and palms ${RAIN_INTERCEPTION.palm * 100}%.`,
+    `Air quality is ${POLLUTANT_REMOVAL_G_PER_M2} g of ozone, NO2, SO2 and particulates removed per m² of crown per year. Mature crowns are ${CANOPY_AREA_M2.small}, ${CANOPY_AREA_M2.medium} or ${CANOPY_AREA_M2.large} m² for small, medium and large trees.`,
+    'Going by their latest observation, diseased trees count at half the yearly rates and dead trees add nothing more. CO2 captured to date is not reduced; for a dead tree it is counted up to the observation that found it dead.'
+  ]
+}
+
+const profilesByName = new Map((profiles as GrowthProfile[]).map(profile => [profile.scientificName.toLowerCase(), profile]))
+
+/**
+ * The growth profile of a catalog species: its own, its genus', or the
+ * default. `matchedOn` says which.
+ */
+export const findGrowthProfile = (scientificName?: string | null) => {
+  const name = (scientificName ?? '').trim().toLowerCase()
+  const species = profilesByName.get(name)
+  if (species) return { profile: species, matchedOn: name.includes(' ') ? 'species' : 'genus' }
+
+  const genus = profilesByName.get(name.split(' ')[0])
+  if (genus) return { profile: genus, matchedOn: 'genus' }
+
+  return { profile: DEFAULT_PROFILE, matchedOn: 'default' }
+}
+
+// CO2 captured over the first `age` years, growing linearly to maturity
+const co2CapturedKg = (profile: GrowthProfile, age: number) => {
+  const maturity = profile.yearsToMaturity
+  if (age <= maturity) return profile.matureCo2KgPerYear * age * age / (2 * maturity)
+  return profile.matureCo2KgPerYear * (maturity / 2 + age - maturity)
+}
+
+const round = (value: number) => Math.round(value * 10) / 10
+
+/**
+ * Estimate the benefits of one tree as of `now`
+ */
+export const estimateTreeBenefits = (tree: BenefitTree, now = new Date()) => {
+  const { profile, matchedOn } = findGrowthProfile(tree.catalogSpecies?.scientificName)
+  const start = tree.datePlanted ?? tree.createdAt
+  const age = Math.max(0, (now.getTime() - start.getTime()) / YEAR_MS)
+  const factor = STATUS_FACTOR[tree.status] ?? 1
+
+  // A dead tree stopped capturing CO2 when it was found dead
+  const diedAt = tree.status === 'DEAD' ? tree.observations[0]?.observedAt : undefined
+  const capturingUntil = diedAt && diedAt < now ? diedAt : now
+  const capturingAge = Math.max(0, (capturingUntil.getTime() - start.getTime()) / YEAR_MS)
+
+  const growth = Math.min(1, age / profile.yearsToMaturity)
+  const canopyAreaM2 = CANOPY_AREA_M2[profile.canopy] * growth
+
+  return {
+    ageYears: round(age),
+    ageFrom: tree.datePlanted ? 'datePlanted' : 'createdAt',
+    profile: {
+      matchedOn,
+      scientificName: profile.scientificName || null,
+      growthRate: profile.growthRate,
+      yearsToMaturity: profile.yearsToMaturity
+    },
+    co2SequesteredKg: round(co2CapturedKg(profile, capturingAge)),
+    co2PerYearKg: round(profile.matureCo2KgPerYear * growth * factor),
+    stormwaterLitersPerYear: Math.round(canopyAreaM2 * ANNUAL_RAINFALL_MM * RAIN_INTERCEPTION[profile.leafType] * factor),
+    airPollutantsGramsPerYear: Math.round(canopyAreaM2 * POLLUTANT_REMOVAL_G_PER_M2 * factor)
+  }
+}
+
+/**
+ * Add up the estimates of many trees
+ */
+export const sumTreeBenefits = (trees: BenefitTree[], now = new Date()) => {
+  const totals = {
+    treeCount: trees.length,
+    // Trees whose age is counted from the day they were pinned
+    treesWithoutPlantingDate: 0,
+    co2SequesteredKg: 0,
+    co2PerYearKg: 0,
+    stormwaterLitersPerYear: 0,
+    airPollutantsGramsPerYear: 0
+  }
+
+  for (const tree of trees) {
+    const estimate = estimateTreeBenefits(tree, now)
+    if (estimate.ageFrom === 'createdAt') totals.treesWithoutPlantingDate++
+    totals.co2SequesteredKg += estimate.co2SequesteredKg
+    totals.co2PerYearKg += estimate.co2PerYearKg
+    totals.stormwaterLitersPerYear += estimate.stormwaterLitersPerYear
+    totals.airPollutantsGramsPerYear += estimate.airPollutantsGramsPerYear
+  }
+
+  return {
+    ...totals,
+    co2SequesteredKg: round(totals.co2SequesteredKg),
+    co2PerYearKg: round(totals.co2PerYearKg)
+  }
+}
@@ -0,0 +1,173 @@
+import { PrismaClient, Prisma } from '@prisma/client'
+import { boundingBoxWhere } from '../utils/bbox'
+import { boundingBoxAround, distanceInMeters, Coordinates } from '../utils/geo'
+
+/**
+ * Duplicate detection for single trees. Two volunteers photographing the
+ * same tree produce two pins a few meters apart with the same species; new
+ * trees are checked against existing ones before they are created, and the
+ * admin report groups the ones that slipped through.
+ */
+
+const parseRadius = (value: string | undefined, fallback: number) => {
+  const radius = parseFloat(value ?? '')
+  return Number.isFinite(radius) && radius > 0 ? radius : fallback
+}
+
+// Phone GPS is often off by 5-10 m, so two pins of one tree rarely coincide
+export const DUPLICATE_RADIUS_METERS = parseRadius(process.env.DUPLICATE_RADIUS_METERS, 15)
+export const MAX_DUPLICATE_RADIUS_METERS = 200
+
+const MAX_DUPLICATES = 5
+
+export interface SpeciesRef {
+  species: string | null
+  speciesId?: string | null
+}
+
+/**
+ * Same species when both trees link the same catalog entry, or, when either
+ * is unlinked, when the names match ignoring case and spacing
+ */
+export const isSameSpecies = (a: SpeciesRef, b: SpeciesRef) => {
+  if (a.speciesId && b.speciesId) return a.speciesId === b.speciesId
+
+  const normalize = (value: string | null) => (value ?? '').trim().replace(/\s+/g, ' ').toLowerCase()
+  return normalize(a.species) !== '' && normalize(a.species) === normalize(b.species)
+}
+
+/**
+ * Resolve a `radius` query value, defaulting to DUPLICATE_RADIUS_METERS.
+ * Throws when the value is present but not a usable radius.
+ */
+export const resolveDuplicateRadius = (value: unknown): number => {
+  if (value === undefined || value === '') return DUPLICATE_RADIUS_METERS
+
+  const radius = parseFloat(String(value))
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_DUPLICATE_RADIUS_METERS) {
+    throw new Error(`radius must be a number of meters between 0 and ${MAX_DUPLICATE_RADIUS_METERS}`)
+  }
+  return radius
+}
+
+export interface DuplicateCandidate extends Coordinates, SpeciesRef {}
+
+/**
+ * Existing trees of the same species within `radius` meters of a new one,
+ * nearest first. `include` is passed to Prisma so callers get the trees in
+ * the shape they respond with.
+ */
+export const findLikelyDuplicates = async <I extends Prisma.TreeInclude>(
+  prisma: PrismaClient,
+  candidate: DuplicateCandidate,
+  { radius = DUPLICATE_RADIUS_METERS, excludeId, include }: { radius?: number, excludeId?: string, include: I }
+): Promise<Array<{ tree: Prisma.TreeGetPayload<{ include: I }>, distance: number }>> => {
+  const nearby = await prisma.tree.findMany({
+    where: {
+      ...boundingBoxWhere(boundingBoxAround(candidate, radius)),
+      // Trees hidden by moderators are not offered as the same tree
+      hiddenAt: null,
+      ...(excludeId && { id: { not: excludeId } })
+    },
+    include
+  })
+
+  return nearby
+    .filter(tree => isSameSpecies(tree, candidate))
+    .map(tree => ({ tree, distance: distanceInMeters(tree, candidate) }))
+    .filter(({ distance }) => distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_DUPLICATES)
+}
+
+const clusterTreeSelect = {
+  id: true,
+  name: true,
+  species: true,
+  speciesId: true,
+  latitude: true,
+  longitude: true,
+  userId: true,
+  createdAt: true
+} satisfies Prisma.TreeSelect
+
+type ClusterTree = Prisma.TreeGetPayload<{ select: typeof clusterTreeSelect }>
+
+export interface DuplicateCluster {
+  species: string | null
+  size: number
+  latitude: number
+  longitude: number
+  // Largest distance between two trees of the cluster
+  spreadMeters: number
+  trees: Array<{ id: string, name: string, species: string | null, latitude: number, longitude: number, userId: string, createdAt: string }>
+}
+
+/**
+ * Group every tree with its same-species neighbours within `radius` meters.
+ * Neighbours of neighbours join the same cluster. Largest clusters first.
+ */
+export const findDuplicateClusters = async (
+  prisma: PrismaClient,
+  { radius = DUPLICATE_RADIUS_METERS }: { radius?: number } = {}
+): Promise<DuplicateCluster[]> => {
+  const trees = await prisma.tree.findMany({
+    // Hidden trees are out of every listing, so there is nothing to merge
+    where: { hiddenAt: null },
+    select: clusterTreeSelect,
+    orderBy: { latitude: 'asc' }
+  })
+
+  // Union-find over tree indexes
+  const parent = trees.map((_, index) => index)
+  const root = (index: number): number => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]]
+      index = parent[index]
+    }
+    return index
+  }
+
+  // Sorted by latitude, so only the following trees within the latitude
+  // span of the radius can be close enough
+  const latitudeSpan = boundingBoxAround({ latitude: 0, longitude: 0 }, radius).north
+  for (let i = 0; i < trees.length; i++) {
+    for (let j = i + 1; j < trees.length && trees[j].latitude - trees[i].latitude <= latitudeSpan; j++) {
+      if (isSameSpecies(trees[i], trees[j]) && distanceInMeters(trees[i], trees[j]) <= radius) {
+        parent[root(j)] = root(i)
+      }
+    }
+  }
+
+  const groups = new Map<number, ClusterTree[]>()
+  trees.forEach((tree, index) => {
+    const group = groups.get(root(index))
+    if (group) {
+      group.push(tree)
+    } else {
+      groups.set(root(index), [tree])
+    }
+  })
+
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => {
+      let spreadMeters = 0
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          spreadMeters = Math.max(spreadMeters, distanceInMeters(group[i], group[j]))
+        }
+      }
+      const oldestFirst = [...group].sort((a, b) => a.createdAt.getTime() - b.createdAt.getTime())
+
+      return {
+        species: oldestFirst[0].species,
+        size: group.length,
+        latitude: group.reduce((sum, tree) => sum + tree.latitude, 0) / group.length,
+        longitude: group.reduce((sum, tree) => sum + tree.longitude, 0) / group.length,
+        spreadMeters: Math.round(spreadMeters * 10) / 10,
+        trees: oldestFirst.map(({ speciesId, createdAt, ...tree }) => ({ ...tree, createdAt: createdAt.toISOString() }))
+      }
+    })
+    .sort((a, b) => b.size - a.size || a.spreadMeters - b.spreadMeters)
+}
@@ -0,0 +1,147 @@
+/**
+ * Serializers for tree exports handed to GIS tools. Every format carries the
+ * same attributes: name, species, status, planting date, address, city,
+ * district, tags and planter, plus the point location.
+ */
+
+export const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+} as const
+
+export type ExportFormat = keyof typeof EXPORT_FORMATS
+
+export interface ExportTree {
+  id: string
+  name: string
+  species: string | null
+  status: string
+  datePlanted: Date | null
+  latitude: number
+  longitude: number
+  address: string | null
+  city?: string | null
+  district?: string | null
+  tags: string[]
+  createdAt: Date
+  user: {
+    username: string
+    firstName: string | null
+    lastName: string | null
+  } | null
+}
+
+const planterName = (user: ExportTree['user']) => {
+  if (!user) return ''
+  return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username
+}
+
+const toDateString = (date: Date | null) => date ? date.toISOString().split('T')[0] : ''
+
+// Flat attribute set shared by all formats
+const toAttributes = (tree: ExportTree) => ({
+  id: tree.id,
+  name: tree.name,
+  species: tree.species ?? '',
+  status: tree.status.toLowerCase(),
+  date_planted: toDateString(tree.datePlanted),
+  address: tree.address ?? '',
+  city: tree.city ?? '',
+  district: tree.district ?? '',
+  tags: tree.tags.join(';'),
+  planter: planterName(tree.user),
+  created_at: tree.createdAt.toISOString()
+})
+
+export const toGeoJSON = (trees: ExportTree[]): string => {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: trees.map(tree => ({
+      type: 'Feature',
+      id: tree.id,
+      geometry: {
+        type: 'Point',
+        coordinates: [tree.longitude, tree.latitude]
+      },
+      properties: {
+        ...toAttributes(tree),
+        // GeoJSON consumers handle arrays, so keep tags structured here
+        tags: tree.tags
+      }
+    }))
+  }, null, 2)
+}
+
+const CSV_COLUMNS = [
+  'id', 'name', 'species', 'status', 'date_planted', 'latitude', 'longitude',
+  'address', 'city', 'district', 'tags', 'planter', 'created_at'
+]
+
+const escapeCsv = (value: string | number) => {
+  let text = String(value)
+  // Stop spreadsheet apps from evaluating user-provided text as a formula
+  if (/^[=+\-@]/.test(text) && typeof value === 'string') {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const toCSV = (trees: ExportTree[]): string => {
+  const rows = trees.map(tree => {
+    const row: Record<string, string | number> = {
+      ...toAttributes(tree),
+      latitude: tree.latitude,
+      longitude: tree.longitude
+    }
+    return CSV_COLUMNS.map(column => escapeCsv(row[column])).join(',')
+  })
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n'
+}
+
+const escapeXml = (value: string) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+export const toKML = (trees: ExportTree[]): string => {
+  const placemarks = trees.map(tree => {
+    const attributes = toAttributes(tree)
+    const data = Object.entries(attributes)
+      .filter(([key]) => key !== 'name')
+      .map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+      .join('\n')
+
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(tree.name)}</name>`,
+      '      <ExtendedData>',
+      data,
+      '      </ExtendedData>',
+      `      <Point><coordinates>${tree.longitude},${tree.latitude}</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n')
+  })
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>Pin-a-Tree export</name>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n')
+}
+
+export const serializeTrees = (trees: ExportTree[], format: ExportFormat): string => {
+  switch (format) {
+    case 'geojson': return toGeoJSON(trees)
+    case 'csv': return toCSV(trees)
+    case 'kml': return toKML(trees)
+  }
+}
@@ -0,0 +1,124 @@
+import { PrismaClient, Prisma } from '@prisma/client'
+import { observationInclude } from './observationService'
+import { BADGES } from './badgeService'
+
+/**
+ * Personal activity feed: what the planters a user follows have been doing,
+ * newest first. Events come from three tables (trees pinned, observations
+ * recorded, badges earned). Each is read up to the page size and the rows
+ * are merged, so a page takes three queries however the events are spread.
+ *
+ * Pages are cut by a cursor of the last event's time and id; ids break ties
+ * between events recorded in the same millisecond.
+ */
+
+export interface FeedCursor {
+  time: Date
+  id: string
+}
+
+const actorSelect = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  avatar: true
+} satisfies Prisma.UserSelect
+
+type FeedObservation<T> = Prisma.TreeObservationGetPayload<{ include: typeof observationInclude }> & { tree: T }
+
+type FeedBadge = Prisma.UserBadgeGetPayload<{ include: { user: { select: typeof actorSelect } } }>
+
+// What the feed schema reads of each event, with the tree read as T
+export type FeedEvent<T> =
+  | { type: 'tree', id: string, time: Date, tree: T }
+  | { type: 'observation', id: string, time: Date, observation: FeedObservation<T> }
+  | { type: 'badge', id: string, time: Date, badge: FeedBadge }
+
+// Observations recorded this soon after their tree by its planter are the
+// first one, created with the tree; the tree's own event covers them
+const PLANTING_OBSERVATION_MS = 60 * 1000
+
+export const encodeFeedCursor = ({ time, id }: FeedCursor) => `${time.toISOString()}_${id}`
+
+/**
+ * Parse a `cursor` query value from X-Next-Cursor. Throws when it is not one.
+ */
+export const parseFeedCursor = (value: unknown): FeedCursor | null => {
+  if (typeof value !== 'string' || !value) return null
+
+  const separator = value.lastIndexOf('_')
+  const time = new Date(value.slice(0, separator))
+  const id = value.slice(separator + 1)
+  if (separator < 1 || Number.isNaN(time.getTime()) || !id) {
+    throw new Error('cursor must be an X-Next-Cursor value from a previous page')
+  }
+  return { time, id }
+}
+
+// Rows after the cursor in (time, id) descending order
+const after = (field: string, cursor: FeedCursor | null) => cursor
+  ? { OR: [{ [field]: { lt: cursor.time } }, { [field]: cursor.time, id: { lt: cursor.id } }] }
+  : {}
+
+const newestFirst = (a: { time: Date, id: string }, b: { time: Date, id: string }) =>
+  b.time.getTime() - a.time.getTime() || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0)
+
+/**
+ * One page of a user's feed. Trees hidden by moderators, and observations
+ * of them, are left out. `include` is what to read with every tree.
+ */
+export const loadFeed = async <I extends Prisma.TreeInclude>(
+  prisma: PrismaClient,
+  { userId, cursor, limit, include }: { userId: string, cursor: FeedCursor | null, limit: number, include: I }
+) => {
+  const follows = await prisma.follow.findMany({
+    where: { followerId: userId },
+    select: { followingId: true }
+  })
+  if (follows.length === 0) return { events: [], nextCursor: null }
+
+  const userIds = follows.map(follow => follow.followingId)
+  const take = limit + 1
+
+  const [trees, observations, badges] = await Promise.all([
+    prisma.tree.findMany({
+      where: { userId: { in: userIds }, hiddenAt: null, ...after('createdAt', cursor) },
+      include,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take
+    }),
+    prisma.treeObservation.findMany({
+      where: { userId: { in: userIds }, tree: { hiddenAt: null }, ...after('createdAt', cursor) },
+      include: { ...observationInclude, tree: { include } },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take
+    }),
+    prisma.userBadge.findMany({
+      // Badges of rules that no longer exist are not shown anywhere
+      where: { userId: { in: userIds }, badge: { in: BADGES.map(badge => badge.id) }, ...after('earnedAt', cursor) },
+      include: { user: { select: actorSelect } },
+      orderBy: [{ earnedAt: 'desc' }, { id: 'desc' }],
+      take
+    })
+  ])
+
+  const events = [
+    ...trees.map(tree => ({ type: 'tree' as const, id: tree.id, time: tree.createdAt, tree })),
+    ...observations
+      .filter(observation => observation.userId !== observation.tree.userId ||
+        observation.createdAt.getTime() - observation.tree.createdAt.getTime() > PLANTING_OBSERVATION_MS)
+      .map(observation => ({ type: 'observation' as const, id: observation.id, time: observation.createdAt, observation })),
+    ...badges.map(badge => ({ type: 'badge' as const, id: badge.id, time: badge.earnedAt, badge }))
+  ].sort(newestFirst)
+
+  // Events left over, or a full read from any table, mean older ones follow
+  const page = events.slice(0, limit)
+  const hasMore = events.length > limit || [trees, observations, badges].some(rows => rows.length === take)
+  const last = page[page.length - 1]
+
+  return {
+    events: page,
+    nextCursor: hasMore && last ? encodeFeedCursor(last) : null
+  }
+}
@@ -0,0 +1,83 @@
+import { Coordinates, distanceInMeters } from '../../utils/geo'
+import { GeocodedPlace, GeocodingProvider, PlaceSearchOptions, formatPlaceLabel } from './types'
+import places from './gazetteer.json'
+
+/**
+ * Offline provider backed by a small list of cities, districts and parks
+ * (gazetteer.json). Needs no network or API key, so it is the default
+ * outside production and gives stable results in tests. A point resolves
+ * to the smallest place whose radius contains it.
+ */
+
+interface GazetteerEntry {
+  name: string
+  kind: string
+  latitude: number
+  longitude: number
+  radius: number
+  district: string | null
+  city: string | null
+  region: string | null
+  country: string | null
+  countryCode: string | null
+  postcode?: string
+}
+
+// Lowercase without accents or punctuation ("Île-de-France" -> "ile de france")
+const normalizeText = (text: string) => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+
+const entries = (places as GazetteerEntry[]).map(entry => ({
+  ...entry,
+  searchText: normalizeText([entry.name, entry.district, entry.city, entry.region, entry.country].join(' '))
+}))
+
+const toPlace = (entry: GazetteerEntry, point: Coordinates = entry): GeocodedPlace => {
+  // Cities and districts are the area itself; parks and landmarks are named places
+  const name = entry.kind === 'city' || entry.kind === 'district' ? null : entry.name
+
+  return {
+    label: formatPlaceLabel(name, entry.district, entry.city, entry.country),
+    latitude: point.latitude,
+    longitude: point.longitude,
+    name,
+    street: null,
+    district: entry.district,
+    city: entry.city,
+    region: entry.region,
+    country: entry.country,
+    countryCode: entry.countryCode,
+    postcode: entry.postcode ?? null
+  }
+}
+
+export const gazetteerProvider: GeocodingProvider = {
+  name: 'gazetteer',
+
+  async reverse(point) {
+    const containing = entries
+      .filter(entry => distanceInMeters(entry, point) <= entry.radius)
+      .sort((a, b) => a.radius - b.radius)
+
+    return containing.length > 0 ? toPlace(containing[0], point) : null
+  },
+
+  async search(query, { limit, near }: PlaceSearchOptions) {
+    const terms = normalizeText(query).split(' ').filter(Boolean)
+    if (terms.length === 0) return []
+
+    // Names starting with the query first, then the nearest
+    const rank = (entry: typeof entries[number]) => normalizeText(entry.name).startsWith(terms.join(' ')) ? 0 : 1
+
+    return entries
+      .filter(entry => terms.every(term => entry.searchText.includes(term)))
+      .sort((a, b) => rank(a) - rank(b) ||
+        (near ? distanceInMeters(a, near) - distanceInMeters(b, near) : b.radius - a.radius))
+      .slice(0, limit)
+      .map(entry => toPlace(entry))
+  }
+}
@@ -0,0 +1,59 @@
+import { GeocodedPlace, GeocodingProvider, reverseGeocode, setGeocodingProvider } from './index'
+
+const place: GeocodedPlace = {
+  label: 'Central Park, New York',
+  latitude: 40.7829,
+  longitude: -73.9654,
+  name: 'Central Park',
+  street: null,
+  district: 'Manhattan',
+  city: 'New York',
+  region: 'New York',
+  country: 'United States',
+  countryCode: 'us',
+  postcode: null
+}
+
+const stubProvider = (reverse: GeocodingProvider['reverse']): GeocodingProvider => ({
+  name: 'stub',
+  reverse: jest.fn(reverse),
+  search: jest.fn(async () => [])
+})
+
+describe('reverseGeocode', () => {
+  afterEach(() => {
+    setGeocodingProvider(null)
+  })
+
+  it('answers points within ~10 m from the cache', async () => {
+    const provider = stubProvider(async () => place)
+    setGeocodingProvider(provider)
+
+    await reverseGeocode({ latitude: 40.78291, longitude: -73.96541 })
+    await expect(reverseGeocode({ latitude: 40.78293, longitude: -73.96538 })).resolves.toEqual(place)
+
+    expect(provider.reverse).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not cache failures', async () => {
+    const provider = stubProvider(async () => { throw new Error('provider down') })
+    setGeocodingProvider(provider)
+
+    await expect(reverseGeocode(place)).rejects.toThrow('provider down')
+    await expect(reverseGeocode(place)).rejects.toThrow('provider down')
+
+    expect(provider.reverse).toHaveBeenCalledTimes(2)
+  })
+
+  it('gives up after timeoutMs and caches the late answer', async () => {
+    let answer: (value: GeocodedPlace) => void = () => undefined
+    const provider = stubProvider(() => new Promise(resolve => { answer = resolve }))
+    setGeocodingProvider(provider)
+
+    await expect(reverseGeocode(place, { timeoutMs: 10 })).rejects.toThrow('longer than 10 ms')
+
+    answer(place)
+    await expect(reverseGeocode(place, { timeoutMs: 10 })).resolves.toEqual(place)
+    expect(provider.reverse).toHaveBeenCalledTimes(1)
+  })
+})
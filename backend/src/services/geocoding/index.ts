@@ -0,0 +1,101 @@
+import { Coordinates } from '../../utils/geo'
+import { gazetteerProvider } from './gazetteer'
+import { nominatimProvider } from './nominatim'
+import { GeocodedPlace, GeocodingProvider, PlaceSearchOptions } from './types'
+
+/**
+ * Geocoding service: reverse geocoding (coordinates -> address) and place
+ * search (text -> coordinates) through a pluggable provider.
+ *
+ * GEOCODING_PROVIDER picks the provider ('nominatim' or 'gazetteer'). It
+ * defaults to Nominatim in production and to the offline gazetteer
+ * elsewhere. Answers are cached in memory since addresses rarely change
+ * and public providers are rate limited.
+ */
+
+export type { GeocodedPlace, GeocodingProvider } from './types'
+
+const PROVIDERS: Record<string, GeocodingProvider> = {
+  gazetteer: gazetteerProvider,
+  nominatim: nominatimProvider
+}
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000
+const MAX_CACHE_ENTRIES = 1000
+
+let provider: GeocodingProvider | null = null
+
+export const getGeocodingProvider = (): GeocodingProvider => {
+  if (!provider) {
+    const name = process.env.GEOCODING_PROVIDER ||
+      (process.env.NODE_ENV === 'production' ? 'nominatim' : 'gazetteer')
+    provider = PROVIDERS[name]
+    if (!provider) {
+      throw new Error(`Unknown GEOCODING_PROVIDER "${name}" (use ${Object.keys(PROVIDERS).join(' or ')})`)
+    }
+  }
+  return provider
+}
+
+/**
+ * Replace the provider, e.g. with a stub in tests. Clears the cache.
+ */
+export const setGeocodingProvider = (next: GeocodingProvider | null) => {
+  provider = next
+  cache.clear()
+}
+
+// Insertion-ordered, so the oldest entry is dropped first when full
+const cache = new Map<string, { expires: number, value: Promise<unknown> }>()
+
+const cached = <T>(key: string, load: () => Promise<T>): Promise<T> => {
+  const hit = cache.get(key)
+  if (hit && hit.expires > Date.now()) return hit.value as Promise<T>
+
+  const value = load()
+  cache.delete(key)
+  cache.set(key, { expires: Date.now() + CACHE_TTL_MS, value })
+  if (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value as string)
+  }
+
+  // Failures are not cached so the next request tries again
+  value.catch(() => cache.delete(key))
+  return value
+}
+
+// Reject when `promise` takes longer than `ms`. The lookup itself goes on
+// and its answer is still cached for the next caller.
+const within = <T>(promise: Promise<T>, ms: number): Promise<T> => {
+  let timer: NodeJS.Timeout | undefined
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Geocoding took longer than ${ms} ms`)), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Address of a point, or null when the provider knows none. Points are
+ * rounded to ~10 m for caching, well below address precision. With
+ * `timeoutMs` it rejects rather than wait longer for a rate-limited
+ * provider.
+ */
+export const reverseGeocode = (
+  point: Coordinates,
+  { timeoutMs }: { timeoutMs?: number } = {}
+): Promise<GeocodedPlace | null> => {
+  const geocoder = getGeocodingProvider()
+  const key = `${geocoder.name}:reverse:${point.latitude.toFixed(4)},${point.longitude.toFixed(4)}`
+  const place = cached(key, () => geocoder.reverse(point))
+  return timeoutMs === undefined ? place : within(place, timeoutMs)
+}
+
+/**
+ * Places matching free text such as "Central Park" or "Hyde Park, London"
+ */
+export const searchPlaces = (query: string, options: PlaceSearchOptions): Promise<GeocodedPlace[]> => {
+  const geocoder = getGeocodingProvider()
+  const near = options.near ? `${options.near.latitude.toFixed(1)},${options.near.longitude.toFixed(1)}` : ''
+  const key = `${geocoder.name}:search:${query.trim().toLowerCase()}|${options.limit}|${near}`
+  return cached(key, () => geocoder.search(query.trim(), options))
+}
@@ -0,0 +1,94 @@
+import { GeocodedPlace, GeocodingProvider, formatPlaceLabel } from './types'
+
+/**
+ * OpenStreetMap Nominatim provider. The public instance allows one request
+ * per second and requires an identifying User-Agent, so requests are queued
+ * and the geocoding service caches the answers. Point GEOCODING_URL at a
+ * self-hosted instance for heavier use.
+ */
+
+const BASE_URL = process.env.GEOCODING_URL || 'https://nominatim.openstreetmap.org'
+const USER_AGENT = process.env.GEOCODING_USER_AGENT || 'pin-a-tree (https://github.com/azorica/pin-a-tree)'
+const MIN_REQUEST_INTERVAL_MS = 1000
+const REQUEST_TIMEOUT_MS = 5000
+
+interface NominatimResult {
+  lat: string
+  lon: string
+  name?: string
+  display_name?: string
+  address?: Record<string, string>
+}
+
+// Requests wait for each other so the rate limit holds across callers
+let lastRequest = Promise.resolve()
+
+const request = (path: string, params: Record<string, string | number>): Promise<unknown> => {
+  const url = new URL(path, BASE_URL)
+  Object.entries({ format: 'jsonv2', addressdetails: 1, ...params })
+    .forEach(([key, value]) => url.searchParams.set(key, String(value)))
+
+  const response = lastRequest.then(async () => {
+    const res = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT, 'Accept-Language': 'en' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    })
+    if (!res.ok) {
+      throw new Error(`Nominatim answered ${res.status}`)
+    }
+    return res.json()
+  })
+
+  lastRequest = response
+    .catch(() => undefined)
+    .then(() => new Promise<void>(resolve => setTimeout(resolve, MIN_REQUEST_INTERVAL_MS)))
+
+  return response
+}
+
+const toPlace = (result: NominatimResult): GeocodedPlace => {
+  const address = result.address ?? {}
+  const street = [address.road, address.house_number].filter(Boolean).join(' ') || null
+  const district = address.suburb || address.city_district || address.borough ||
+    address.quarter || address.neighbourhood || null
+  const city = address.city || address.town || address.village || address.municipality || null
+  // Named places such as parks; plain street addresses have no name
+  const name = result.name && result.name !== address.road ? result.name : null
+
+  return {
+    label: formatPlaceLabel(name, street, district, city, address.country),
+    latitude: parseFloat(result.lat),
+    longitude: parseFloat(result.lon),
+    name,
+    street,
+    district,
+    city,
+    region: address.state || null,
+    country: address.country || null,
+    countryCode: address.country_code || null,
+    postcode: address.postcode || null
+  }
+}
+
+export const nominatimProvider: GeocodingProvider = {
+  name: 'nominatim',
+
+  async reverse(point) {
+    const result = await request('/reverse', { lat: point.latitude, lon: point.longitude, zoom: 18 })
+    // Points in the sea or outside any address answer with { error }
+    if (!result || typeof result !== 'object' || 'error' in result) return null
+    return toPlace(result as NominatimResult)
+  },
+
+  async search(query, { limit, near }) {
+    const results = await request('/search', {
+      q: query,
+      limit,
+      // A viewbox around the point biases results towards it without excluding others
+      ...(near && {
+        viewbox: [near.longitude - 0.5, near.latitude + 0.5, near.longitude + 0.5, near.latitude - 0.5].join(',')
+      })
+    })
+    return Array.isArray(results) ? results.map(toPlace) : []
+  }
+}
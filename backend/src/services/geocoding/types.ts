@@ -0,0 +1,36 @@
+import { Coordinates } from '../../utils/geo'
+
+/**
+ * Structured address returned by every geocoding provider. `label` is the
+ * one-line address stored on trees; `city` and `district` are stored
+ * separately so trees can be grouped by place.
+ */
+export interface GeocodedPlace {
+  label: string
+  latitude: number
+  longitude: number
+  name: string | null
+  street: string | null
+  district: string | null
+  city: string | null
+  region: string | null
+  country: string | null
+  countryCode: string | null
+  postcode: string | null
+}
+
+export interface PlaceSearchOptions {
+  limit: number
+  // Results close to this point are preferred where the provider supports it
+  near?: Coordinates
+}
+
+export interface GeocodingProvider {
+  name: string
+  reverse(point: Coordinates): Promise<GeocodedPlace | null>
+  search(query: string, options: PlaceSearchOptions): Promise<GeocodedPlace[]>
+}
+
+// Join the non-empty address parts into the one-line label
+export const formatPlaceLabel = (...parts: Array<string | null | undefined>) =>
+  [...new Set(parts.map(part => part?.trim()).filter(Boolean))].join(', ')
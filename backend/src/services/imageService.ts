@@ -0,0 +1,89 @@
+import sharp from 'sharp'
+import path from 'path'
+
+export type ImageSize = 'thumbnail' | 'card' | 'full'
+
+export interface ImageDerivative {
+  width: number
+  height: number
+  jpeg: string
+  webp: string
+}
+
+export type ImageVariants = Record<ImageSize, ImageDerivative>
+
+// The upload is not an image sharp can decode: truncated, corrupt, or a
+// format it does not read
+export class InvalidImageError extends Error {}
+
+// Decode the upload, applying its EXIF orientation so every output comes
+// out upright
+const decodeImage = async (buffer: Buffer): Promise<Buffer> => {
+  try {
+    return await sharp(buffer).rotate().toBuffer()
+  } catch (error) {
+    throw new InvalidImageError('Invalid image')
+  }
+}
+
+// Bounding boxes for each derivative. Thumbnails cover map popups and small
+// list items at 2x, cards cover the home grid and sidebar, full is for
+// detail views.
+const DERIVATIVES: Array<{ size: ImageSize, maxWidth: number, maxHeight: number, quality: number }> = [
+  { size: 'thumbnail', maxWidth: 320, maxHeight: 320, quality: 70 },
+  { size: 'card', maxWidth: 800, maxHeight: 800, quality: 75 },
+  { size: 'full', maxWidth: 1600, maxHeight: 1600, quality: 80 }
+]
+
+/**
+ * Write every derivative of an uploaded image (JPEG and WebP) to `uploadDir`.
+ * Files are named `<basename>-<size>.<ext>` and returned as public URLs.
+ */
+export const createImageDerivatives = async (
+  buffer: Buffer,
+  uploadDir: string,
+  basename: string
+): Promise<ImageVariants> => {
+  const source = await decodeImage(buffer)
+  const variants = {} as ImageVariants
+
+  for (const { size, maxWidth, maxHeight, quality } of DERIVATIVES) {
+    const resized = sharp(source).resize(maxWidth, maxHeight, { fit: 'inside', withoutEnlargement: true })
+    const jpegName = `${basename}-${size}.jpg`
+    const webpName = `${basename}-${size}.webp`
+
+    const info = await resized.clone().jpeg({ quality, mozjpeg: true }).toFile(path.join(uploadDir, jpegName))
+    await resized.clone().webp({ quality }).toFile(path.join(uploadDir, webpName))
+
+    variants[size] = {
+      width: info.width,
+      height: info.height,
+      jpeg: `/uploads/${jpegName}`,
+      webp: `/uploads/${webpName}`
+    }
+  }
+
+  return variants
+}
+
+// Avatars are shown as circles up to 128 px wide, so one 2x square is enough
+const AVATAR_SIZE = 256
+
+/**
+ * Write a square JPEG avatar, cropped around the most interesting part of
+ * the uploaded image, and return its public URL
+ */
+export const createAvatarImage = async (
+  buffer: Buffer,
+  uploadDir: string,
+  basename: string
+): Promise<string> => {
+  const fileName = `${basename}.jpg`
+
+  await sharp(await decodeImage(buffer))
+    .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover', position: 'attention' })
+    .jpeg({ quality: 80, mozjpeg: true })
+    .toFile(path.join(uploadDir, fileName))
+
+  return `/uploads/${fileName}`
+}
@@ -0,0 +1,333 @@
+import { PrismaClient, Prisma } from '@prisma/client'
+import { validateInput, FieldErrors } from '../middleware/validate'
+import { importTreeSchema, TreeStatusValue } from '../schemas/tree'
+import { boundingBoxWhere } from '../utils/bbox'
+import { parseCsv } from '../utils/csv'
+import { boundingBoxAround, distanceInMeters } from '../utils/geo'
+import { DUPLICATE_RADIUS_METERS, isSameSpecies } from './duplicateService'
+import { loadSpeciesIndex, matchSpecies } from './speciesService'
+
+/**
+ * Bulk tree import from CSV or GeoJSON. Files use the attribute names of
+ * the exports (name, species, status, date_planted, address, tags, ...),
+ * so an export can be edited and imported again. Every row is validated
+ * with the same rules as POST /api/trees and checked for duplicates, both
+ * inside the file and against trees already on the map, with the same
+ * radius and species matching as single trees (see duplicateService).
+ */
+
+export const IMPORT_FORMATS = ['csv', 'geojson'] as const
+export type ImportFormat = typeof IMPORT_FORMATS[number]
+
+export const MAX_IMPORT_ROWS = 1000
+
+// Accepted column / property names for each tree field
+const FIELD_ALIASES: Record<string, string[]> = {
+  name: ['name'],
+  species: ['species'],
+  description: ['description'],
+  status: ['status'],
+  datePlanted: ['date_planted', 'dateplanted', 'planted'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon'],
+  address: ['address'],
+  city: ['city'],
+  district: ['district'],
+  tags: ['tags'],
+  imageUrl: ['image_url', 'imageurl'],
+  imageAlt: ['image_alt', 'imagealt']
+}
+
+// Export-only attributes that are expected and silently skipped
+const EXPORT_ONLY_COLUMNS = ['id', 'planter', 'created_at']
+
+const COLUMN_TO_FIELD = new Map(
+  Object.entries(FIELD_ALIASES).flatMap(([field, aliases]) => aliases.map(alias => [alias, field] as const))
+)
+
+const TEXT_FIELDS = ['name', 'species', 'description', 'address', 'city', 'district', 'imageAlt']
+
+export interface ImportRow {
+  row: number
+  input: Record<string, unknown>
+}
+
+export interface ParsedImport {
+  rows: ImportRow[]
+  ignoredColumns: string[]
+}
+
+export type ImportRowStatus = 'valid' | 'invalid' | 'duplicate'
+
+export interface ImportRowReport {
+  row: number
+  status: ImportRowStatus
+  name: string | null
+  species: string | null
+  latitude: number | null
+  longitude: number | null
+  errors?: FieldErrors
+  duplicateOf?: { row: number } | { treeId: string, name: string }
+}
+
+export interface ImportReport {
+  format: ImportFormat
+  dryRun: boolean
+  summary: { total: number, valid: number, invalid: number, duplicates: number }
+  created: number
+  ignoredColumns: string[]
+  rows: ImportRowReport[]
+}
+
+export interface ValidatedTree {
+  name: string
+  species: string
+  // Catalog entry matched from `species`
+  speciesId?: string | null
+  description: string
+  datePlanted?: Date | null
+  latitude: number
+  longitude: number
+  address: string
+  city?: string | null
+  district?: string | null
+  imageUrl: string
+  imageAlt?: string | null
+  status?: TreeStatusValue
+  tags: string[]
+}
+
+/**
+ * Pick the import format from an explicit `format` value or the file name
+ */
+export const detectImportFormat = (format: unknown, filename = ''): ImportFormat | null => {
+  const requested = typeof format === 'string' ? format.toLowerCase() : ''
+  if (requested) {
+    return (IMPORT_FORMATS as readonly string[]).includes(requested) ? requested as ImportFormat : null
+  }
+
+  const extension = filename.toLowerCase().split('.').pop()
+  if (extension === 'csv') return 'csv'
+  if (extension === 'geojson' || extension === 'json') return 'geojson'
+  return null
+}
+
+const normalizeKey = (key: string) => key.trim().toLowerCase().replace(/[\s-]+/g, '_')
+
+// Undo the formula guard the CSV export adds ('=SUM(...) -> =SUM(...))
+const unguardText = (value: string) => /^'[=+\-@]/.test(value) ? value.slice(1) : value
+
+/**
+ * Map raw attributes onto tree fields. Empty values are dropped so optional
+ * fields fall back to their defaults instead of failing validation.
+ */
+const toTreeInput = (attributes: Record<string, unknown>, ignored: Set<string>) => {
+  const input: Record<string, unknown> = {}
+
+  for (const [key, raw] of Object.entries(attributes)) {
+    const column = normalizeKey(key)
+    const field = COLUMN_TO_FIELD.get(column)
+
+    if (!field) {
+      if (!EXPORT_ONLY_COLUMNS.includes(column)) ignored.add(key)
+      continue
+    }
+
+    let value = typeof raw === 'string' ? raw.trim() : raw
+    if (value === '' || value === null || value === undefined) continue
+
+    if (field === 'tags' && typeof value === 'string') {
+      value = value.split(';').map(tag => tag.trim()).filter(Boolean)
+    }
+    if (TEXT_FIELDS.includes(field) && typeof value === 'string') {
+      value = unguardText(value)
+    }
+
+    input[field] = value
+  }
+
+  return input
+}
+
+const parseCsvImport = (text: string): ParsedImport => {
+  const [header, ...records] = parseCsv(text)
+  if (!header) {
+    throw new Error('CSV file is empty')
+  }
+
+  const ignored = new Set<string>()
+  const rows = records.map((cells, index) => {
+    const attributes: Record<string, string> = {}
+    header.forEach((column, columnIndex) => {
+      attributes[column] = cells[columnIndex] ?? ''
+    })
+    // Row numbers count the header as row 1, as spreadsheets do
+    return { row: index + 2, input: toTreeInput(attributes, ignored) }
+  })
+
+  return { rows, ignoredColumns: [...ignored] }
+}
+
+const parseGeoJsonImport = (text: string): ParsedImport => {
+  let document: { type?: string, features?: unknown }
+  try {
+    document = JSON.parse(text)
+  } catch (error) {
+    throw new Error('GeoJSON file is not valid JSON')
+  }
+
+  const features = document?.type === 'FeatureCollection' ? document.features
+    : document?.type === 'Feature' ? [document]
+    : null
+  if (!Array.isArray(features)) {
+    throw new Error('GeoJSON must be a Feature or FeatureCollection')
+  }
+
+  const ignored = new Set<string>()
+  const rows = features.map((feature, index) => {
+    const input = toTreeInput(feature?.properties ?? {}, ignored)
+    const geometry = feature?.geometry
+
+    // Only points carry a tree location; anything else fails validation
+    if (geometry?.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      const [longitude, latitude] = geometry.coordinates
+      input.latitude = latitude
+      input.longitude = longitude
+    } else {
+      delete input.latitude
+      delete input.longitude
+    }
+
+    return { row: index + 1, input }
+  })
+
+  return { rows, ignoredColumns: [...ignored] }
+}
+
+/**
+ * Parse an import file into rows of tree input. Throws when the file as a
+ * whole cannot be read; problems with single rows are left to validation.
+ */
+export const parseImportFile = (text: string, format: ImportFormat): ParsedImport => {
+  const parsed = format === 'csv' ? parseCsvImport(text) : parseGeoJsonImport(text)
+
+  if (parsed.rows.length === 0) {
+    throw new Error('The file does not contain any trees')
+  }
+  if (parsed.rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} trees per file`)
+  }
+  return parsed
+}
+
+const nearbyTreeSelect = {
+  id: true,
+  name: true,
+  species: true,
+  speciesId: true,
+  latitude: true,
+  longitude: true
+} satisfies Prisma.TreeSelect
+
+type NearbyTree = Prisma.TreeGetPayload<{ select: typeof nearbyTreeSelect }>
+
+// Existing trees near any of the given points, fetched in a few batched
+// queries rather than one findLikelyDuplicates query per row. Trees hidden
+// by moderators are not offered as the same tree.
+const findNearbyTrees = async (prisma: PrismaClient, points: ValidatedTree[]) => {
+  const BATCH_SIZE = 100
+  const nearby = new Map<string, NearbyTree>()
+
+  for (let i = 0; i < points.length; i += BATCH_SIZE) {
+    const batch = points.slice(i, i + BATCH_SIZE)
+    const trees = await prisma.tree.findMany({
+      where: {
+        OR: batch.map(point => boundingBoxWhere(boundingBoxAround(point, DUPLICATE_RADIUS_METERS))),
+        hiddenAt: null
+      },
+      select: nearbyTreeSelect
+    })
+    trees.forEach(tree => nearby.set(tree.id, tree))
+  }
+
+  return [...nearby.values()]
+}
+
+/**
+ * Validate parsed rows and look for duplicates. Returns the report plus the
+ * normalized trees that are safe to create.
+ */
+export const buildImportReport = async (
+  prisma: PrismaClient,
+  parsed: ParsedImport,
+  format: ImportFormat
+): Promise<{ report: ImportReport, trees: ValidatedTree[] }> => {
+  const rows: ImportRowReport[] = []
+  const accepted: Array<{ report: ImportRowReport, tree: ValidatedTree }> = []
+  const speciesIndex = await loadSpeciesIndex(prisma)
+
+  for (const { row, input } of parsed.rows) {
+    const { value, errors } = validateInput<ValidatedTree>(importTreeSchema, input)
+    const report: ImportRowReport = {
+      row,
+      status: errors ? 'invalid' : 'valid',
+      name: typeof input.name === 'string' ? input.name : null,
+      species: typeof input.species === 'string' ? input.species : null,
+      latitude: errors ? null : value.latitude,
+      longitude: errors ? null : value.longitude,
+      ...(errors && { errors })
+    }
+    rows.push(report)
+    if (errors) continue
+
+    value.speciesId = matchSpecies(value.species, speciesIndex)?.id ?? null
+
+    // Duplicates inside the file point at the first occurrence
+    const earlier = accepted.find(({ tree }) =>
+      isSameSpecies(tree, value) &&
+      distanceInMeters(tree, value) <= DUPLICATE_RADIUS_METERS
+    )
+    if (earlier) {
+      report.status = 'duplicate'
+      report.duplicateOf = { row: earlier.report.row }
+      continue
+    }
+
+    accepted.push({ report, tree: value })
+  }
+
+  const existing = await findNearbyTrees(prisma, accepted.map(({ tree }) => tree))
+  const trees: ValidatedTree[] = []
+
+  for (const { report, tree } of accepted) {
+    const match = existing.find(candidate =>
+      isSameSpecies(candidate, tree) &&
+      distanceInMeters(candidate, tree) <= DUPLICATE_RADIUS_METERS
+    )
+    if (match) {
+      report.status = 'duplicate'
+      report.duplicateOf = { treeId: match.id, name: match.name }
+      continue
+    }
+    trees.push(tree)
+  }
+
+  const count = (status: ImportRowStatus) => rows.filter(row => row.status === status).length
+
+  return {
+    report: {
+      format,
+      dryRun: true,
+      summary: {
+        total: rows.length,
+        valid: count('valid'),
+        invalid: count('invalid'),
+        duplicates: count('duplicate')
+      },
+      created: 0,
+      ignoredColumns: parsed.ignoredColumns,
+      rows
+    },
+    trees
+  }
+}
@@ -0,0 +1,19 @@
+import { MailTransport } from './types'
+
+/**
+ * Prints messages to the server log instead of sending them, so links in
+ * verification and reset emails can be followed during development
+ */
+export const consoleTransport: MailTransport = {
+  name: 'console',
+
+  async send(message) {
+    console.log([
+      '📧 Mail (not sent)',
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text
+    ].join('\n'))
+  }
+}
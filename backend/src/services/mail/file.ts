@@ -0,0 +1,27 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { MailMessage, MailTransport } from './types'
+
+/**
+ * Writes each message as a JSON file to MAIL_DIR (default ./mail) instead
+ * of sending it. Tests and scripts read the newest file to find the link
+ * they need.
+ */
+
+export const MAIL_DIR = process.env.MAIL_DIR || './mail'
+
+// Sortable by time, unique within the same millisecond
+let sequence = 0
+const fileName = () => `${Date.now()}-${String(sequence++ % 1000).padStart(3, '0')}.json`
+
+export const fileTransport: MailTransport = {
+  name: 'file',
+
+  async send(message: MailMessage) {
+    await fs.mkdir(MAIL_DIR, { recursive: true })
+    await fs.writeFile(
+      path.join(MAIL_DIR, fileName()),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    )
+  }
+}
@@ -0,0 +1,31 @@
+import { MailMessage, sendMail, setMailTransport, verificationEmail, passwordResetEmail } from './index'
+
+describe('account emails', () => {
+  const sent: MailMessage[] = []
+  const user = { email: 'ada@example.com', username: 'ada', firstName: 'Ada' }
+
+  beforeEach(() => {
+    sent.length = 0
+    setMailTransport({ name: 'test', send: async (message) => { sent.push(message) } })
+  })
+
+  afterEach(() => {
+    setMailTransport(null)
+  })
+
+  it('sends the verification link to the frontend route', async () => {
+    await sendMail(verificationEmail(user, 'token/with+chars', 48))
+
+    expect(sent).toHaveLength(1)
+    expect(sent[0].to).toBe('ada@example.com')
+    expect(sent[0].text).toContain('/verify-email?token=token%2Fwith%2Bchars')
+    expect(sent[0].text).toContain('48 hours')
+  })
+
+  it('sends the password reset link to the frontend route', async () => {
+    await sendMail(passwordResetEmail(user, 'reset-token', 60))
+
+    expect(sent[0].text).toContain('/reset-password?token=reset-token')
+    expect(sent[0].text).toContain('Hi Ada,')
+  })
+})
@@ -0,0 +1,44 @@
+import { consoleTransport } from './console'
+import { fileTransport } from './file'
+import { smtpTransport } from './smtp'
+import { MailMessage, MailTransport } from './types'
+
+/**
+ * Outgoing email through a pluggable transport.
+ *
+ * MAIL_TRANSPORT picks the transport ('smtp', 'file' or 'console'). It
+ * defaults to SMTP in production and to the console elsewhere, so local
+ * setups never send real email.
+ */
+
+export type { MailMessage, MailTransport } from './types'
+export { verificationEmail, passwordResetEmail } from './templates'
+
+const TRANSPORTS: Record<string, MailTransport> = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+}
+
+let transport: MailTransport | null = null
+
+export const getMailTransport = (): MailTransport => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'console')
+    transport = TRANSPORTS[name]
+    if (!transport) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use ${Object.keys(TRANSPORTS).join(', ')})`)
+    }
+  }
+  return transport
+}
+
+/**
+ * Replace the transport, e.g. with one that records messages in tests
+ */
+export const setMailTransport = (next: MailTransport | null) => {
+  transport = next
+}
+
+export const sendMail = (message: MailMessage) => getMailTransport().send(message)
@@ -0,0 +1,55 @@
+import { MailMessage } from './types'
+
+/**
+ * Account emails. Links point at the frontend routes that consume the
+ * tokens, under FRONTEND_URL.
+ */
+
+const frontendLink = (path: string, token: string) => {
+  const url = new URL(path, process.env.FRONTEND_URL || 'http://localhost:5173')
+  url.searchParams.set('token', token)
+  return url.toString()
+}
+
+interface Recipient {
+  email: string
+  username: string
+  firstName?: string | null
+}
+
+const greeting = (user: Recipient) => `Hi ${user.firstName || user.username},`
+
+export const verificationEmail = (user: Recipient, token: string, expiresInHours: number): MailMessage => {
+  const link = frontendLink('/verify-email', token)
+  return {
+    to: user.email,
+    subject: 'Confirm your Pin-a-Tree email address',
+    text: [
+      greeting(user),
+      '',
+      'Welcome to Pin-a-Tree! Please confirm your email address by opening this link:',
+      '',
+      link,
+      '',
+      `The link is valid for ${expiresInHours} hours. If you did not sign up, you can ignore this email.`
+    ].join('\n')
+  }
+}
+
+export const passwordResetEmail = (user: Recipient, token: string, expiresInMinutes: number): MailMessage => {
+  const link = frontendLink('/reset-password', token)
+  return {
+    to: user.email,
+    subject: 'Reset your Pin-a-Tree password',
+    text: [
+      greeting(user),
+      '',
+      'Someone asked to reset the password of your Pin-a-Tree account. To choose a new password, open this link:',
+      '',
+      link,
+      '',
+      `The link is valid for ${expiresInMinutes} minutes and works once. Resetting your password signs you out on every device.`,
+      'If you did not ask for this, you can ignore this email; your password stays the same.'
+    ].join('\n')
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * A message as built by the mail templates. Every transport sends the
+ * plain text; `html` is optional.
+ */
+export interface MailMessage {
+  to: string
+  subject: string
+  text: string
+  html?: string
+}
+
+export interface MailTransport {
+  name: string
+  send(message: MailMessage): Promise<void>
+}
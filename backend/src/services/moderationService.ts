@@ -0,0 +1,122 @@
+import { PrismaClient, Prisma } from '@prisma/client'
+import { ModerationActionValue, ReportReasonValue, moderationActionInclude, reportInclude } from '../schemas/moderation'
+
+/**
+ * Reports and moderator decisions. Users flag trees; moderators then hide
+ * them (left out of every listing but kept), restore them (visible again,
+ * open reports dismissed) or delete them. Every decision closes the
+ * tree's open reports and is logged with its reason.
+ */
+
+export class ModerationError extends Error {}
+
+/**
+ * File a report, or return the reporter's open report on the same tree so
+ * repeated clicks do not inflate the count. `created` tells them apart.
+ */
+export const reportTree = async (
+  prisma: PrismaClient,
+  { treeId, reporterId, reason, details }: { treeId: string, reporterId: string, reason: ReportReasonValue, details?: string }
+) => {
+  const existing = await prisma.treeReport.findFirst({
+    where: { treeId, reporterId, resolvedAt: null },
+    include: reportInclude
+  })
+  if (existing) return { report: existing, created: false }
+
+  const report = await prisma.treeReport.create({
+    data: { treeId, reporterId, reason, details: details || null },
+    include: reportInclude
+  })
+  return { report, created: true }
+}
+
+// Unresolved reports of a queued tree, newest first
+const openReportsInclude = {
+  where: { resolvedAt: null },
+  include: reportInclude,
+  orderBy: { createdAt: 'desc' }
+} satisfies Prisma.Tree$reportsArgs
+
+/**
+ * Trees waiting for a moderator, most reported first: `open` are trees
+ * with unresolved reports, `hidden` are trees moderators have hidden.
+ * `include` is what to read with every tree besides its open reports.
+ */
+export const listModerationQueue = async <I extends Prisma.TreeInclude>(
+  prisma: PrismaClient,
+  { status, limit, include }: { status: 'open' | 'hidden', limit: number, include: I }
+) => {
+  return prisma.tree.findMany<{
+    where: Prisma.TreeWhereInput
+    include: I & { reports: typeof openReportsInclude }
+    orderBy: Prisma.TreeOrderByWithRelationInput
+    take: number
+  }>({
+    where: status === 'open'
+      ? { reports: { some: { resolvedAt: null } } }
+      : { hiddenAt: { not: null } },
+    include: { ...include, reports: openReportsInclude },
+    orderBy: status === 'open' ? { reports: { _count: 'desc' } } : { hiddenAt: 'desc' },
+    take: limit
+  })
+}
+
+/**
+ * Hide, restore or delete a tree, close its open reports and log the
+ * decision. Throws ModerationError when the action does not apply (hiding
+ * a hidden tree, restoring a visible one without reports).
+ */
+export const moderateTree = async (
+  prisma: PrismaClient,
+  { treeId, moderatorId, action, reason }: { treeId: string, moderatorId: string, action: ModerationActionValue, reason: string }
+) => {
+  return prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    const tree = await tx.tree.findUnique({
+      where: { id: treeId },
+      select: { id: true, name: true, hiddenAt: true, _count: { select: { reports: { where: { resolvedAt: null } } } } }
+    })
+    if (!tree) return null
+
+    if (action === 'HIDE' && tree.hiddenAt) {
+      throw new ModerationError('Tree is already hidden')
+    }
+    if (action === 'RESTORE' && !tree.hiddenAt && tree._count.reports === 0) {
+      throw new ModerationError('Tree is visible and has no open reports')
+    }
+
+    await tx.treeReport.updateMany({
+      where: { treeId, resolvedAt: null },
+      data: { resolvedAt: new Date(), resolution: action }
+    })
+
+    // Logged before a delete, which then clears the action's treeId
+    const logged = await tx.moderationAction.create({
+      data: { action, reason, treeId, treeName: tree.name, moderatorId },
+      include: moderationActionInclude
+    })
+
+    if (action === 'DELETE') {
+      await tx.tree.delete({ where: { id: treeId } })
+      return { ...logged, treeId: null }
+    }
+
+    await tx.tree.update({
+      where: { id: treeId },
+      data: { hiddenAt: action === 'HIDE' ? new Date() : null }
+    })
+    return logged
+  })
+}
+
+/**
+ * Latest moderator decisions, optionally for one tree
+ */
+export const listModerationActions = async (prisma: PrismaClient, { treeId, limit }: { treeId?: string, limit: number }) => {
+  return prisma.moderationAction.findMany({
+    where: treeId ? { treeId } : {},
+    include: moderationActionInclude,
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  })
+}
@@ -0,0 +1,57 @@
+import { PrismaClient, Prisma } from '@prisma/client'
+import { TreeStatusValue } from '../schemas/tree'
+
+// Public observer fields returned with every observation
+export const observationInclude = {
+  user: {
+    select: {
+      id: true,
+      username: true,
+      firstName: true,
+      lastName: true,
+      avatar: true
+    }
+  }
+}
+
+export interface ObservationInput {
+  treeId: string
+  userId: string
+  status: TreeStatusValue
+  observedAt?: Date
+  notes?: string
+  imageUrl?: string | null
+  imageVariants?: Prisma.InputJsonValue | null
+}
+
+/**
+ * Add an observation and move the tree's status to whatever the most recent
+ * observation says. Observations can be back-dated, so the new one is not
+ * necessarily the latest. Returns the observation and the new tree status.
+ */
+export const recordObservation = async (prisma: PrismaClient, input: ObservationInput) => {
+  const { imageVariants, ...fields } = input
+
+  return prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    const observation = await tx.treeObservation.create({
+      data: {
+        ...fields,
+        imageVariants: imageVariants ?? undefined
+      },
+      include: observationInclude
+    })
+
+    const latest = await tx.treeObservation.findFirst({
+      where: { treeId: input.treeId },
+      orderBy: [{ observedAt: 'desc' }, { createdAt: 'desc' }],
+      select: { status: true }
+    })
+
+    const tree = await tx.tree.update({
+      where: { id: input.treeId },
+      data: { status: latest!.status }
+    })
+
+    return { observation, status: tree.status }
+  })
+}
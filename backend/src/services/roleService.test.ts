@@ -0,0 +1,27 @@
+import { effectiveRole } from './roleService'
+
+describe('effectiveRole', () => {
+  const previous = process.env.ADMIN_EMAILS
+
+  beforeEach(() => {
+    process.env.ADMIN_EMAILS = 'root@example.com, Boss@Example.com'
+  })
+
+  afterAll(() => {
+    process.env.ADMIN_EMAILS = previous
+  })
+
+  it('makes verified ADMIN_EMAILS accounts admins, ignoring case', () => {
+    expect(effectiveRole({ email: 'root@example.com', isVerified: true, role: 'USER' })).toBe('ADMIN')
+    expect(effectiveRole({ email: 'boss@example.com', isVerified: true })).toBe('ADMIN')
+  })
+
+  it('grants nothing to an unverified account with an admin address', () => {
+    expect(effectiveRole({ email: 'ROOT@example.com', isVerified: false, role: 'USER' })).toBe('USER')
+  })
+
+  it('uses the stored role otherwise', () => {
+    expect(effectiveRole({ email: 'mod@example.com', isVerified: false, role: 'MODERATOR' })).toBe('MODERATOR')
+    expect(effectiveRole({ email: 'someone@example.com', isVerified: true, role: null })).toBe('USER')
+  })
+})
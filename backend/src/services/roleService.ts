@@ -0,0 +1,29 @@
+/**
+ * Account roles. Each role can do everything the ones before it can:
+ * moderators handle reported trees, admins also manage roles.
+ */
+
+export const ROLES = ['USER', 'MODERATOR', 'ADMIN'] as const
+export type Role = typeof ROLES[number]
+
+// Comma-separated emails of accounts that are always admins once the
+// address is confirmed, so a new deployment has someone to hand out roles
+const adminEmails = () => (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean)
+
+/**
+ * The role an account acts with: the stored one, raised to ADMIN for
+ * verified accounts in ADMIN_EMAILS. Anyone can sign up with an address
+ * they do not own, so an unverified one grants nothing.
+ */
+export const effectiveRole = (user: { email: string, isVerified: boolean, role?: string | null }): Role => {
+  if (user.isVerified && adminEmails().includes(user.email.trim().toLowerCase())) return 'ADMIN'
+  return ROLES.includes(user.role as Role) ? user.role as Role : 'USER'
+}
+
+/**
+ * Whether `role` is `required` or above it
+ */
+export const hasRole = (role: Role, required: Role) => ROLES.indexOf(role) >= ROLES.indexOf(required)
@@ -0,0 +1,99 @@
+import { PrismaClient } from '@prisma/client'
+import { SessionError, createSession, isSessionActive, rotateSession } from './sessionService'
+
+interface SessionRow {
+  id: string
+  userId: string
+  refreshTokenHash: string
+  previousTokenHash: string | null
+  revokedAt: Date | null
+  expiresAt: Date
+}
+
+const user = { id: 'user-1', email: 'ada@example.com' }
+
+// The session queries the service makes, over an in-memory table
+const createFakePrisma = () => {
+  const rows: SessionRow[] = []
+  const find = (where: Partial<SessionRow>) => rows.find(row =>
+    Object.entries(where).every(([key, value]) => row[key as keyof SessionRow] === value))
+
+  return {
+    rows,
+    session: {
+      create: async ({ data }: { data: Omit<SessionRow, 'id' | 'previousTokenHash' | 'revokedAt'> }) => {
+        const row = { ...data, id: `session-${rows.length + 1}`, previousTokenHash: null, revokedAt: null }
+        rows.push(row)
+        return row
+      },
+      findUnique: async ({ where }: { where: Partial<SessionRow> }) => {
+        const row = find(where)
+        return row ? { ...row, user } : null
+      },
+      update: async ({ where, data }: { where: { id: string }, data: Partial<SessionRow> }) =>
+        Object.assign(find(where)!, data),
+      updateMany: async ({ where, data }: { where: Partial<SessionRow>, data: Partial<SessionRow> }) => {
+        const row = find(where)
+        if (row) Object.assign(row, data)
+        return { count: row ? 1 : 0 }
+      }
+    }
+  }
+}
+
+describe('rotateSession', () => {
+  let fake: ReturnType<typeof createFakePrisma>
+  let prisma: PrismaClient
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret'
+  })
+
+  beforeEach(() => {
+    fake = createFakePrisma()
+    prisma = fake as unknown as PrismaClient
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('trades a refresh token for a new pair', async () => {
+    const { refreshToken } = await createSession(prisma, user)
+
+    const next = await rotateSession(prisma, refreshToken)
+
+    expect(next.refreshToken).not.toBe(refreshToken)
+    expect(next.token).toEqual(expect.any(String))
+    await expect(rotateSession(prisma, next.refreshToken)).resolves.toEqual(expect.objectContaining({
+      refreshToken: expect.any(String)
+    }))
+  })
+
+  it('revokes the session when a rotated token is presented again', async () => {
+    const { refreshToken } = await createSession(prisma, user)
+    const next = await rotateSession(prisma, refreshToken)
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined)
+
+    await expect(rotateSession(prisma, refreshToken)).rejects.toThrow(SessionError)
+
+    expect(await isSessionActive(prisma, fake.rows[0].id)).toBe(false)
+    // The current token is no use to whoever holds it either
+    await expect(rotateSession(prisma, next.refreshToken)).rejects.toThrow(SessionError)
+  })
+
+  it('rejects an unknown token without revoking anything', async () => {
+    await createSession(prisma, user)
+
+    await expect(rotateSession(prisma, 'not-a-token')).rejects.toThrow(SessionError)
+
+    expect(await isSessionActive(prisma, fake.rows[0].id)).toBe(true)
+  })
+
+  it('rejects the token of an expired session', async () => {
+    const { refreshToken } = await createSession(prisma, user)
+    fake.rows[0].expiresAt = new Date(Date.now() - 1000)
+
+    await expect(rotateSession(prisma, refreshToken)).rejects.toThrow(SessionError)
+  })
+})
@@ -0,0 +1,186 @@
+import jwt from 'jsonwebtoken'
+import { PrismaClient } from '@prisma/client'
+import { hashToken, newOpaqueToken } from '../utils/tokens'
+
+/**
+ * Sign-in sessions. Each login creates a session with a short-lived JWT
+ * access token and a long-lived refresh token. Only a hash of the refresh
+ * token is stored; every refresh replaces it, so a token works once.
+ * Presenting an already rotated token means it was copied, and the whole
+ * session is revoked.
+ */
+
+// authenticateToken checks the session behind every access token, so
+// revoking a session ends its tokens at once. Keep them short so a leaked
+// one stops working soon even when nobody revokes the session.
+export const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m'
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export interface AccessTokenPayload {
+  userId: string
+  email: string
+  sessionId: string
+}
+
+export interface SessionTokens {
+  token: string
+  refreshToken: string
+  expiresIn: string
+}
+
+export interface ClientInfo {
+  userAgent?: string
+  ipAddress?: string
+}
+
+export class SessionError extends Error {}
+
+const newRefreshToken = () => newOpaqueToken()
+
+const signAccessToken = (payload: AccessTokenPayload) => jwt.sign(
+  payload,
+  process.env.JWT_SECRET!,
+  { expiresIn: ACCESS_TOKEN_TTL as jwt.SignOptions['expiresIn'] }
+)
+
+// Client strings are stored for the session list; keep them bounded
+const clip = (value: string | undefined, length: number) => value ? value.slice(0, length) : null
+
+/**
+ * Start a session for a user who just proved who they are
+ */
+export const createSession = async (
+  prisma: PrismaClient,
+  user: { id: string, email: string },
+  client: ClientInfo = {}
+): Promise<SessionTokens> => {
+  const refreshToken = newRefreshToken()
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: clip(client.userAgent, 500),
+      ipAddress: clip(client.ipAddress, 100),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS)
+    }
+  })
+
+  return {
+    token: signAccessToken({ userId: user.id, email: user.email, sessionId: session.id }),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  }
+}
+
+/**
+ * Trade a refresh token for a new access token and refresh token.
+ * Throws SessionError when the token is unknown, expired or revoked.
+ */
+export const rotateSession = async (
+  prisma: PrismaClient,
+  refreshToken: string,
+  client: ClientInfo = {}
+): Promise<SessionTokens> => {
+  const tokenHash = hashToken(refreshToken)
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: { user: { select: { id: true, email: true } } }
+  })
+
+  if (!session) {
+    // A token that was already rotated: someone else holds the current one
+    const reused = await prisma.session.findUnique({ where: { previousTokenHash: tokenHash } })
+    if (reused && !reused.revokedAt) {
+      await prisma.session.update({ where: { id: reused.id }, data: { revokedAt: new Date() } })
+      console.warn('Refresh token reused, session revoked:', reused.id)
+    }
+    throw new SessionError('Invalid refresh token')
+  }
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    throw new SessionError('Session has ended, please sign in again')
+  }
+
+  const nextToken = newRefreshToken()
+  // Conditional on the current hash, so two refreshes racing with the same
+  // token cannot both succeed
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash },
+    data: {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: new Date(),
+      ...(client.userAgent && { userAgent: clip(client.userAgent, 500) }),
+      ...(client.ipAddress && { ipAddress: clip(client.ipAddress, 100) })
+    }
+  })
+  if (count === 0) {
+    throw new SessionError('Invalid refresh token')
+  }
+
+  return {
+    token: signAccessToken({ userId: session.user.id, email: session.user.email, sessionId: session.id }),
+    refreshToken: nextToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  }
+}
+
+/**
+ * Whether the session behind an access token is still open
+ */
+export const isSessionActive = async (prisma: PrismaClient, sessionId: string) => {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true }
+  })
+  return !!session && !session.revokedAt && session.expiresAt > new Date()
+}
+
+/**
+ * End the session a refresh token belongs to. Unknown tokens are ignored.
+ */
+export const revokeByRefreshToken = async (prisma: PrismaClient, refreshToken: string) => {
+  await prisma.session.updateMany({
+    where: { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() }
+  })
+}
+
+/**
+ * End one of a user's sessions. Returns false when the user has no such
+ * open session.
+ */
+export const revokeSession = async (prisma: PrismaClient, userId: string, sessionId: string) => {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  })
+  return count > 0
+}
+
+/**
+ * End every open session of a user, optionally keeping one
+ */
+export const revokeAllSessions = async (prisma: PrismaClient, userId: string, exceptSessionId?: string) => {
+  const { count } = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } })
+    },
+    data: { revokedAt: new Date() }
+  })
+  return count
+}
+
+/**
+ * A user's open sessions, most recently used first
+ */
+export const listSessions = async (prisma: PrismaClient, userId: string) => {
+  return prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, userAgent: true, ipAddress: true, createdAt: true, lastUsedAt: true, expiresAt: true },
+    orderBy: { lastUsedAt: 'desc' }
+  })
+}
@@ -0,0 +1,181 @@
+import { PrismaClient } from '@prisma/client'
+import { SpeciesRecord } from '../schemas/species'
+
+/**
+ * Species catalog lookups: autocomplete search and mapping free-text
+ * species names ("oak tree", "Quercus robur", "English Oak") onto catalog
+ * entries.
+ */
+
+export const speciesSelect = {
+  id: true,
+  scientificName: true,
+  commonNames: true,
+  family: true,
+  rank: true
+}
+
+/**
+ * Normalize a species name for comparison: lowercase, no accents or
+ * punctuation, hybrid markers removed ("Platanus × hispanica" ->
+ * "platanus hispanica").
+ */
+export const normalizeSpeciesName = (name: string): string => name
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s[×x]\s/g, ' ')
+  .replace(/×/g, '')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+
+// Text stored on each catalog row so autocomplete can use a single column
+export const speciesSearchText = (entry: { scientificName: string, commonNames: string[] }) =>
+  [entry.scientificName, ...entry.commonNames].map(normalizeSpeciesName).join('|')
+
+// Variants tried in order when mapping free text: as typed, then without
+// filler such as "tree" or "sp."
+const candidateNames = (text: string): string[] => {
+  const name = normalizeSpeciesName(text)
+  const stripped = name
+    .replace(/\b(tree|trees)$/, '')
+    .replace(/\b(sp|spp|species)$/, '')
+    .trim()
+
+  return [...new Set([name, stripped].filter(Boolean))]
+}
+
+export type SpeciesIndex = Map<string, SpeciesRecord>
+
+/**
+ * Index catalog entries by every normalized scientific and common name
+ */
+export const buildSpeciesIndex = (catalog: SpeciesRecord[]): SpeciesIndex => {
+  const index: SpeciesIndex = new Map()
+  for (const entry of catalog) {
+    for (const name of [entry.scientificName, ...entry.commonNames]) {
+      index.set(normalizeSpeciesName(name), entry)
+    }
+  }
+  return index
+}
+
+/**
+ * Find the catalog entry for a free-text species name, or null
+ */
+export const matchSpecies = (text: string | null | undefined, index: SpeciesIndex): SpeciesRecord | null => {
+  if (!text) return null
+
+  for (const name of candidateNames(text)) {
+    const entry = index.get(name)
+    if (entry) return entry
+  }
+  return null
+}
+
+// The catalog only changes when it is re-seeded, so keep it in memory
+const INDEX_TTL_MS = 10 * 60 * 1000
+let cachedIndex: { index: SpeciesIndex, loadedAt: number } | null = null
+
+export const loadSpeciesIndex = async (prisma: PrismaClient): Promise<SpeciesIndex> => {
+  if (cachedIndex && Date.now() - cachedIndex.loadedAt < INDEX_TTL_MS) {
+    return cachedIndex.index
+  }
+
+  const catalog = await prisma.species.findMany({ select: speciesSelect })
+  cachedIndex = { index: buildSpeciesIndex(catalog), loadedAt: Date.now() }
+  return cachedIndex.index
+}
+
+/**
+ * Work out the catalog link for a tree write. An explicit speciesId (picked
+ * from the autocomplete) must exist; otherwise the species text is matched
+ * against the catalog and left unlinked when nothing fits. Returns
+ * undefined when the request touches neither field.
+ */
+export const resolveSpeciesId = async (
+  prisma: PrismaClient,
+  body: { species?: string, speciesId?: string | null }
+): Promise<string | null | undefined> => {
+  if (body.speciesId) {
+    const exists = await prisma.species.findUnique({
+      where: { id: body.speciesId },
+      select: { id: true }
+    })
+    if (!exists) {
+      throw new Error('speciesId does not match a catalog entry')
+    }
+    return body.speciesId
+  }
+
+  if (body.species === undefined) {
+    return body.speciesId === null ? null : undefined
+  }
+
+  const index = await loadSpeciesIndex(prisma)
+  return matchSpecies(body.species, index)?.id ?? null
+}
+
+/**
+ * Autocomplete search over scientific and common names. Exact matches come
+ * first, then names starting with the query, then any other match.
+ */
+export const searchSpecies = async (prisma: PrismaClient, query: string, limit: number) => {
+  const needle = normalizeSpeciesName(query)
+  if (!needle) return []
+
+  const matches = await prisma.species.findMany({
+    where: { searchText: { contains: needle } },
+    select: speciesSelect,
+    take: 100
+  })
+
+  const score = (entry: SpeciesRecord) => {
+    const names = [entry.scientificName, ...entry.commonNames].map(normalizeSpeciesName)
+    if (names.includes(needle)) return 0
+    if (names.some(name => name.startsWith(needle))) return 1
+    if (names.some(name => name.split(' ').some(word => word.startsWith(needle)))) return 2
+    return 3
+  }
+
+  return matches
+    .map(entry => ({ entry, score: score(entry) }))
+    .sort((a, b) => a.score - b.score || a.entry.scientificName.localeCompare(b.entry.scientificName))
+    .slice(0, limit)
+    .map(({ entry }) => entry)
+}
+
+/**
+ * Link trees that only have free-text species to catalog entries. Safe to
+ * run repeatedly; returns how many trees were linked and the names that
+ * are still unknown (most common first) so the dataset can be extended.
+ */
+export const mapFreeTextSpecies = async (prisma: PrismaClient) => {
+  const index = await loadSpeciesIndex(prisma)
+  const unlinked = await prisma.tree.groupBy({
+    by: ['species'],
+    where: { speciesId: null, species: { not: null } },
+    _count: { _all: true }
+  })
+
+  let linked = 0
+  const unknown: Array<{ species: string, trees: number }> = []
+
+  for (const group of unlinked) {
+    const entry = matchSpecies(group.species, index)
+    if (!entry) {
+      if (group.species) unknown.push({ species: group.species, trees: group._count._all })
+      continue
+    }
+
+    const { count } = await prisma.tree.updateMany({
+      where: { speciesId: null, species: group.species },
+      data: { speciesId: entry.id }
+    })
+    linked += count
+  }
+
+  unknown.sort((a, b) => b.trees - a.trees)
+  return { linked, unknown }
+}
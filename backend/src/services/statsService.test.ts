@@ -0,0 +1,61 @@
+import { PrismaClient } from '@prisma/client'
+import { clearStatsCache, getCommunityStats } from './statsService'
+
+// An empty community. `failing` makes the monthly counts query reject.
+const createPrisma = ({ failing = false } = {}) => {
+  const fake = {
+    $queryRaw: failing
+      ? jest.fn().mockRejectedValue(new Error('database down'))
+      : jest.fn().mockResolvedValue([]),
+    tree: {
+      count: jest.fn().mockResolvedValue(0),
+      groupBy: jest.fn().mockResolvedValue([]),
+      findMany: jest.fn().mockResolvedValue([])
+    },
+    user: {
+      count: jest.fn().mockResolvedValue(0),
+      findMany: jest.fn().mockResolvedValue([])
+    },
+    species: {
+      findMany: jest.fn().mockResolvedValue([])
+    }
+  }
+  return { fake, prisma: fake as unknown as PrismaClient }
+}
+
+describe('getCommunityStats', () => {
+  beforeEach(() => {
+    clearStatsCache()
+  })
+
+  it('shares one computation between simultaneous callers', async () => {
+    const { fake, prisma } = createPrisma()
+
+    const first = getCommunityStats(prisma)
+    const second = getCommunityStats(prisma)
+
+    expect(second).toBe(first)
+    await expect(first).resolves.toMatchObject({ totals: { trees: 0, members: 0 } })
+    expect(fake.$queryRaw).toHaveBeenCalledTimes(1)
+  })
+
+  it('answers from the cache until it is cleared', async () => {
+    const { fake, prisma } = createPrisma()
+
+    const first = await getCommunityStats(prisma)
+    expect(await getCommunityStats(prisma)).toBe(first)
+    expect(fake.$queryRaw).toHaveBeenCalledTimes(1)
+
+    clearStatsCache()
+    expect(await getCommunityStats(prisma)).not.toBe(first)
+    expect(fake.$queryRaw).toHaveBeenCalledTimes(2)
+  })
+
+  it('does not cache a failure', async () => {
+    const { fake, prisma } = createPrisma({ failing: true })
+
+    await expect(getCommunityStats(prisma)).rejects.toThrow('database down')
+    await expect(getCommunityStats(prisma)).rejects.toThrow('database down')
+    expect(fake.$queryRaw).toHaveBeenCalledTimes(2)
+  })
+})
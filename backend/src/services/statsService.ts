@@ -0,0 +1,223 @@
+import { PrismaClient, Prisma } from '@prisma/client'
+import { normalizeSpeciesName } from './speciesService'
+import { sumTreeBenefits, benefitTreeSelect, BENEFITS_METHODOLOGY } from './benefits'
+
+/**
+ * Community statistics for the home page: totals, trees pinned per month,
+ * leaderboards and the estimated benefits of every tree. Computing them
+ * reads the whole dataset, so the result is cached in memory for
+ * STATS_CACHE_SECONDS and shared by every visitor.
+ * Trees hidden by moderators are never counted.
+ */
+
+export const STATS_CACHE_SECONDS = parseInt(process.env.STATS_CACHE_SECONDS || '300')
+
+// Planters who pinned a tree or recorded an observation this recently
+const ACTIVE_PLANTER_DAYS = 30
+const MONTHS_SHOWN = 12
+const LEADERBOARD_SIZE = 10
+const SPECIES_LEADERBOARDS = 5
+const SPECIES_LEADERBOARD_SIZE = 3
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const planterSelect = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  avatar: true
+} satisfies Prisma.UserSelect
+
+type Planter = Prisma.UserGetPayload<{ select: typeof planterSelect }>
+
+export interface LeaderboardEntry {
+  rank: number
+  user: Planter
+  treeCount: number
+}
+
+export interface CommunityStats {
+  generatedAt: string
+  totals: {
+    trees: number
+    healthyTrees: number
+    species: number
+    members: number
+    activePlanters: number
+  }
+  // Oldest first, months as YYYY-MM (UTC), empty months included
+  treesPerMonth: Array<{ month: string, count: number }>
+  leaderboards: {
+    allTime: LeaderboardEntry[]
+    thisMonth: LeaderboardEntry[]
+    // Most pinned catalog species, each with its top planters
+    bySpecies: Array<{ speciesId: string, species: string, scientificName: string, treeCount: number, planters: LeaderboardEntry[] }>
+  }
+  // Totals from services/benefits, with the methodology behind them
+  benefits: ReturnType<typeof sumTreeBenefits> & { methodology: typeof BENEFITS_METHODOLOGY }
+}
+
+const visibleTrees = { hiddenAt: null }
+
+const startOfMonthUtc = (date: Date, monthsBack = 0) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - monthsBack, 1))
+
+const monthKey = (date: Date) => date.toISOString().slice(0, 7)
+
+/**
+ * Top planters by trees pinned among the trees matching `where`. Planters
+ * with the same count share a rank.
+ */
+const loadLeaderboard = async (prisma: PrismaClient, where: Prisma.TreeWhereInput, size: number): Promise<LeaderboardEntry[]> => {
+  const groups = await prisma.tree.groupBy({
+    by: ['userId'],
+    where: { ...visibleTrees, ...where },
+    _count: { _all: true },
+    orderBy: { _count: { userId: 'desc' } },
+    take: size
+  })
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: groups.map(group => group.userId) } },
+    select: planterSelect
+  })
+  const usersById = new Map(users.map(user => [user.id, user]))
+
+  return groups
+    .filter(group => usersById.has(group.userId))
+    .map(group => ({
+      rank: groups.findIndex(other => other._count._all === group._count._all) + 1,
+      user: usersById.get(group.userId)!,
+      treeCount: group._count._all
+    }))
+}
+
+// Linked trees count per catalog entry; free-text names count once each
+const countSpecies = async (prisma: PrismaClient) => {
+  const [linked, unlinked] = await Promise.all([
+    prisma.tree.groupBy({
+      by: ['speciesId'],
+      where: { ...visibleTrees, speciesId: { not: null } },
+      _count: { _all: true }
+    }),
+    prisma.tree.groupBy({
+      by: ['species'],
+      where: { ...visibleTrees, speciesId: null, species: { not: null } },
+      _count: { _all: true }
+    })
+  ])
+
+  const names = new Set(unlinked.map(group => normalizeSpeciesName(group.species!)))
+  names.delete('')
+  return linked.length + names.size
+}
+
+const loadTreesPerMonth = async (prisma: PrismaClient, now: Date) => {
+  const since = startOfMonthUtc(now, MONTHS_SHOWN - 1)
+  const rows = await prisma.$queryRaw<Array<{ month: Date, count: bigint }>>`
+    SELECT date_trunc('month', "createdAt") AS month, COUNT(*) AS count
+    FROM trees
+    WHERE "hiddenAt" IS NULL AND "createdAt" >= ${since}
+    GROUP BY 1
+  `
+  const counts = new Map(rows.map(row => [monthKey(row.month), Number(row.count)]))
+
+  return Array.from({ length: MONTHS_SHOWN }, (_, index) => {
+    const month = monthKey(startOfMonthUtc(now, MONTHS_SHOWN - 1 - index))
+    return { month, count: counts.get(month) ?? 0 }
+  })
+}
+
+const loadSpeciesLeaderboards = async (prisma: PrismaClient) => {
+  const top = await prisma.tree.groupBy({
+    by: ['speciesId'],
+    where: { ...visibleTrees, speciesId: { not: null } },
+    _count: { _all: true },
+    orderBy: { _count: { speciesId: 'desc' } },
+    take: SPECIES_LEADERBOARDS
+  })
+
+  const catalog = await prisma.species.findMany({
+    where: { id: { in: top.map(group => group.speciesId!) } },
+    select: { id: true, scientificName: true, commonNames: true }
+  })
+
+  return Promise.all(top.map(async group => {
+    const entry = catalog.find(species => species.id === group.speciesId)
+    return {
+      speciesId: group.speciesId!,
+      species: entry?.commonNames[0] ?? entry?.scientificName ?? '',
+      scientificName: entry?.scientificName ?? '',
+      treeCount: group._count._all,
+      planters: await loadLeaderboard(prisma, { speciesId: group.speciesId }, SPECIES_LEADERBOARD_SIZE)
+    }
+  }))
+}
+
+/**
+ * Compute the statistics from the database, bypassing the cache
+ */
+export const computeCommunityStats = async (prisma: PrismaClient, now = new Date()): Promise<CommunityStats> => {
+  const activeSince = new Date(now.getTime() - ACTIVE_PLANTER_DAYS * DAY_MS)
+
+  const [trees, healthyTrees, species, members, activePlanters, treesPerMonth, allTime, thisMonth, bySpecies, benefitTrees] = await Promise.all([
+    prisma.tree.count({ where: visibleTrees }),
+    prisma.tree.count({ where: { ...visibleTrees, status: 'HEALTHY' } }),
+    countSpecies(prisma),
+    prisma.user.count(),
+    prisma.user.count({
+      where: {
+        OR: [
+          { trees: { some: { ...visibleTrees, createdAt: { gte: activeSince } } } },
+          { observations: { some: { createdAt: { gte: activeSince } } } }
+        ]
+      }
+    }),
+    loadTreesPerMonth(prisma, now),
+    loadLeaderboard(prisma, {}, LEADERBOARD_SIZE),
+    loadLeaderboard(prisma, { createdAt: { gte: startOfMonthUtc(now) } }, LEADERBOARD_SIZE),
+    loadSpeciesLeaderboards(prisma),
+    prisma.tree.findMany({ where: visibleTrees, select: benefitTreeSelect })
+  ])
+
+  return {
+    generatedAt: now.toISOString(),
+    totals: { trees, healthyTrees, species, members, activePlanters },
+    treesPerMonth,
+    leaderboards: { allTime, thisMonth, bySpecies },
+    benefits: { ...sumTreeBenefits(benefitTrees, now), methodology: BENEFITS_METHODOLOGY }
+  }
+}
+
+let cache: { expires: number, value: Promise<CommunityStats> } | null = null
+
+/**
+ * The statistics, recomputed at most once every STATS_CACHE_SECONDS.
+ * Visitors arriving while they are computed share the same query.
+ */
+export const getCommunityStats = (prisma: PrismaClient): Promise<CommunityStats> => {
+  if (cache && cache.expires > Date.now()) return cache.value
+
+  const value = computeCommunityStats(prisma)
+  cache = { expires: Date.now() + STATS_CACHE_SECONDS * 1000, value }
+
+  // Failures are not cached so the next request tries again
+  value.catch(() => {
+    if (cache?.value === value) cache = null
+  })
+  return value
+}
+
+/**
+ * Seconds until the cached statistics are recomputed
+ */
+export const statsCacheSecondsLeft = () =>
+  cache ? Math.max(0, Math.ceil((cache.expires - Date.now()) / 1000)) : STATS_CACHE_SECONDS
+
+/**
+ * Forget the cached statistics, e.g. in tests
+ */
+export const clearStatsCache = () => {
+  cache = null
+}
@@ -0,0 +1,81 @@
+import { Prisma } from '@prisma/client'
+
+export interface BoundingBox {
+  west: number
+  south: number
+  east: number
+  north: number
+}
+
+// Row caps for viewport queries. Zoomed-out views cover a lot of ground, so
+// they get a smaller default to keep response sizes predictable.
+export const MAX_VIEWPORT_LIMIT = 1000
+const DEFAULT_LIMIT_BY_ZOOM: Array<[number, number]> = [
+  [14, 1000],
+  [10, 500],
+  [0, 250]
+]
+
+/**
+ * Parse a `bbox=west,south,east,north` query value (GeoJSON ordering).
+ * Returns null when the value is missing, throws when it is malformed.
+ */
+export const parseBoundingBox = (value: unknown): BoundingBox | null => {
+  if (value === undefined || value === '') return null
+
+  if (typeof value !== 'string') {
+    throw new Error('bbox must be a comma-separated string')
+  }
+
+  const parts = value.split(',').map(part => parseFloat(part))
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    throw new Error('bbox must contain four numbers: west,south,east,north')
+  }
+
+  const [west, south, east, north] = parts
+
+  if (south < -90 || north > 90 || south > north) {
+    throw new Error('bbox latitudes must be within -90..90 and south <= north')
+  }
+  if (west < -180 || west > 180 || east < -180 || east > 180) {
+    throw new Error('bbox longitudes must be within -180..180')
+  }
+
+  return { west, south, east, north }
+}
+
+/**
+ * Build a Prisma filter for trees inside the box. A box whose west edge is
+ * greater than its east edge crosses the antimeridian and is split in two.
+ */
+export const boundingBoxWhere = (bbox: BoundingBox): Prisma.TreeWhereInput => {
+  const latitude = { gte: bbox.south, lte: bbox.north }
+
+  if (bbox.west <= bbox.east) {
+    return { latitude, longitude: { gte: bbox.west, lte: bbox.east } }
+  }
+
+  return {
+    latitude,
+    OR: [
+      { longitude: { gte: bbox.west, lte: 180 } },
+      { longitude: { gte: -180, lte: bbox.east } }
+    ]
+  }
+}
+
+/**
+ * Resolve the row limit from the optional `limit` and `zoom` query values.
+ */
+export const resolveViewportLimit = (limit: unknown, zoom: unknown): number => {
+  const requested = parseInt(String(limit ?? ''), 10)
+  if (Number.isFinite(requested) && requested > 0) {
+    return Math.min(requested, MAX_VIEWPORT_LIMIT)
+  }
+
+  const zoomLevel = parseFloat(String(zoom ?? ''))
+  if (!Number.isFinite(zoomLevel)) return MAX_VIEWPORT_LIMIT
+
+  const match = DEFAULT_LIMIT_BY_ZOOM.find(([minZoom]) => zoomLevel >= minZoom)
+  return match ? match[1] : MAX_VIEWPORT_LIMIT
+}
@@ -0,0 +1,55 @@
+/**
+ * Parse CSV text (RFC 4180) into rows of cells. Handles quoted cells with
+ * embedded commas, quotes and line breaks, CRLF or LF line endings and a
+ * leading byte order mark. Blank lines are skipped.
+ */
+export const parseCsv = (text: string): string[][] => {
+  const rows: string[][] = []
+  let row: string[] = []
+  let cell = ''
+  let inQuotes = false
+
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  const endRow = () => {
+    row.push(cell)
+    if (row.length > 1 || row[0] !== '') rows.push(row)
+    row = []
+    cell = ''
+  }
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+      continue
+    }
+
+    if (char === '"' && cell === '') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      endRow()
+    } else {
+      cell += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV ends inside a quoted value')
+  }
+  if (cell !== '' || row.length > 0) endRow()
+
+  return rows
+}
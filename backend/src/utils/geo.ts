@@ -0,0 +1,43 @@
+import { BoundingBox } from './bbox'
+
+export interface Coordinates {
+  latitude: number
+  longitude: number
+}
+
+const EARTH_RADIUS_METERS = 6371000
+const METERS_PER_DEGREE = 111320
+
+const toRadians = (degrees: number) => degrees * Math.PI / 180
+
+/**
+ * Great-circle (haversine) distance between two points in meters
+ */
+export const distanceInMeters = (a: Coordinates, b: Coordinates): number => {
+  const dLat = toRadians(b.latitude - a.latitude)
+  const dLng = toRadians(b.longitude - a.longitude)
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+/**
+ * Box around a point that contains every location within `meters` of it.
+ * Used to narrow a radius search to an indexed latitude/longitude range
+ * before measuring exact distances.
+ */
+export const boundingBoxAround = (point: Coordinates, meters: number): BoundingBox => {
+  const latDelta = meters / METERS_PER_DEGREE
+  // Longitude degrees shrink towards the poles; clamp to avoid dividing by ~0
+  const lngDelta = meters / (METERS_PER_DEGREE * Math.max(Math.cos(toRadians(point.latitude)), 0.01))
+
+  const wrap = (lng: number) => ((lng + 540) % 360) - 180
+
+  return {
+    south: Math.max(point.latitude - latDelta, -90),
+    north: Math.min(point.latitude + latDelta, 90),
+    west: lngDelta >= 180 ? -180 : wrap(point.longitude - lngDelta),
+    east: lngDelta >= 180 ? 180 : wrap(point.longitude + lngDelta)
+  }
+}
@@ -0,0 +1,16 @@
+import { DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT, resolvePageLimit } from './pagination'
+
+describe('resolvePageLimit', () => {
+  it('uses the default for missing or unusable values', () => {
+    expect(resolvePageLimit(undefined)).toBe(DEFAULT_PAGE_LIMIT)
+    expect(resolvePageLimit('abc')).toBe(DEFAULT_PAGE_LIMIT)
+    expect(resolvePageLimit('0')).toBe(DEFAULT_PAGE_LIMIT)
+    expect(resolvePageLimit('-5', 20, 50)).toBe(20)
+  })
+
+  it('caps the requested size at the maximum', () => {
+    expect(resolvePageLimit('30')).toBe(30)
+    expect(resolvePageLimit('1000')).toBe(MAX_PAGE_LIMIT)
+    expect(resolvePageLimit('80', 20, 50)).toBe(50)
+  })
+})
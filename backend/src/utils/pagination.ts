@@ -0,0 +1,13 @@
+// Page size of a listing that does not set its own
+export const DEFAULT_PAGE_LIMIT = 50
+export const MAX_PAGE_LIMIT = 100
+
+/**
+ * Resolve the page size from the optional `limit` query value: the default
+ * when it is missing or not a positive number, capped at the maximum
+ */
+export const resolvePageLimit = (limit: unknown, defaultLimit = DEFAULT_PAGE_LIMIT, maxLimit = MAX_PAGE_LIMIT): number => {
+  const requested = parseInt(String(limit ?? ''), 10)
+  if (!Number.isFinite(requested) || requested <= 0) return defaultLimit
+  return Math.min(requested, maxLimit)
+}
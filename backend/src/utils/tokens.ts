@@ -0,0 +1,10 @@
+import crypto from 'crypto'
+
+/**
+ * Opaque tokens handed to clients (refresh tokens, email links). The
+ * database only ever sees their hash.
+ */
+
+export const newOpaqueToken = (bytes = 48) => crypto.randomBytes(bytes).toString('base64url')
+
+export const hashToken = (token: string) => crypto.createHash('sha256').update(token).digest('hex')
@@ -0,0 +1,156 @@
+import { Prisma } from '@prisma/client'
+import { TREE_STATUSES, TreeStatusValue } from '../schemas/tree'
+import { normalizeSpeciesName } from '../services/speciesService'
+
+/**
+ * Build a Prisma filter from the list filters the frontend keeps in
+ * treeStore.filters, sent as query parameters:
+ *
+ *   q           - search terms; every term must appear in the name,
+ *                 description, species or tags (case-insensitive)
+ *   species     - case-insensitive substring of the species as entered or
+ *                 of any name of its catalog entry ("oak" finds Quercus robur)
+ *   speciesId   - exact catalog entry
+ *   status      - one of TREE_STATUSES (any casing)
+ *   user        - case-insensitive substring of the planter's name or username
+ *   city        - city, case-insensitive exact match
+ *   district    - district, case-insensitive exact match
+ *   plantedFrom - earliest planting date (inclusive, YYYY-MM-DD)
+ *   plantedTo   - latest planting date (inclusive, YYYY-MM-DD)
+ *   createdFrom - earliest date the tree was added (inclusive, YYYY-MM-DD)
+ *   createdTo   - latest date the tree was added (inclusive, YYYY-MM-DD)
+ *   tags        - comma-separated tags; trees must have all of them
+ *
+ * Trees hidden by moderators never match.
+ *
+ * Throws when a value is malformed so routes can answer with a 400.
+ */
+export const buildTreeFilterWhere = (query: Record<string, unknown>): Prisma.TreeWhereInput[] => {
+  const conditions: Prisma.TreeWhereInput[] = [{ hiddenAt: null }]
+  const text = (key: string) => typeof query[key] === 'string' ? (query[key] as string).trim() : ''
+
+  // Terms are matched separately so "oak park" finds "Old oak in the park"
+  const terms = text('q').split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS)
+  for (const term of terms) {
+    const match = { contains: term, mode: 'insensitive' as const }
+    conditions.push({
+      OR: [
+        { name: match },
+        { description: match },
+        { species: match },
+        { tags: { hasSome: [...new Set([term, term.toLowerCase()])] } }
+      ]
+    })
+  }
+
+  const species = text('species')
+  if (species) {
+    conditions.push({
+      OR: [
+        { species: { contains: species, mode: 'insensitive' } },
+        { catalogSpecies: { searchText: { contains: normalizeSpeciesName(species) } } }
+      ]
+    })
+  }
+
+  const speciesId = text('speciesId')
+  if (speciesId) {
+    conditions.push({ speciesId })
+  }
+
+  const status = text('status').toUpperCase()
+  if (status) {
+    if (!TREE_STATUSES.includes(status as TreeStatusValue)) {
+      throw new Error(`status must be one of ${TREE_STATUSES.join(', ')}`)
+    }
+    conditions.push({ status: status as TreeStatusValue })
+  }
+
+  const user = text('user')
+  if (user) {
+    const nameMatch = { contains: user, mode: 'insensitive' as const }
+    conditions.push({
+      user: {
+        OR: [
+          { username: nameMatch },
+          { firstName: nameMatch },
+          { lastName: nameMatch }
+        ]
+      }
+    })
+  }
+
+  for (const key of ['city', 'district'] as const) {
+    const value = text(key)
+    if (value) conditions.push({ [key]: { equals: value, mode: 'insensitive' } })
+  }
+
+  const tags = text('tags').split(',').map(tag => tag.trim()).filter(Boolean)
+  if (tags.length > 0) {
+    conditions.push({ tags: { hasEvery: tags } })
+  }
+
+  const datePlanted = parseDateRange(text('plantedFrom'), text('plantedTo'), 'planted')
+  if (datePlanted) {
+    conditions.push({ datePlanted })
+  }
+
+  const createdAt = parseDateRange(text('createdFrom'), text('createdTo'), 'created')
+  if (createdAt) {
+    conditions.push({ createdAt })
+  }
+
+  return conditions
+}
+
+const MAX_SEARCH_TERMS = 8
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Inclusive day range; the end day is included in full
+const parseDateRange = (from: string, to: string, name: string) => {
+  const start = parseDate(from, `${name}From`)
+  const end = parseDate(to, `${name}To`)
+  if (!start && !end) return null
+
+  return {
+    ...(start && { gte: start }),
+    ...(end && { lt: new Date(end.getTime() + DAY_MS) })
+  }
+}
+
+// Sort keys accepted by `sort`; prefix with "-" for descending order
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'species', 'datePlanted'] as const
+type SortField = typeof SORT_FIELDS[number]
+
+export const DEFAULT_TREE_SORT = '-createdAt'
+
+/**
+ * Parse a `sort` query value such as "name" or "-datePlanted" into a Prisma
+ * orderBy. The id is always the last key so the order is stable, which
+ * cursor pagination relies on. Throws on unknown fields.
+ */
+export const parseTreeSort = (value: unknown): Prisma.TreeOrderByWithRelationInput[] => {
+  const sort = typeof value === 'string' && value.trim() ? value.trim() : DEFAULT_TREE_SORT
+  const direction = sort.startsWith('-') ? 'desc' : 'asc'
+  const field = sort.replace(/^[-+]/, '') as SortField
+
+  if (!SORT_FIELDS.includes(field)) {
+    throw new Error(`sort must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)`)
+  }
+
+  // Trees without a planting date or species go last either way
+  const order = field === 'datePlanted' || field === 'species'
+    ? { [field]: { sort: direction, nulls: 'last' } }
+    : { [field]: direction }
+
+  return [order as Prisma.TreeOrderByWithRelationInput, { id: direction }]
+}
+
+const parseDate = (value: string, name: string): Date | null => {
+  if (!value) return null
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date (YYYY-MM-DD)`)
+  }
+  return date
+}
@@ -7,6 +7,12 @@ const TreeFormView = () => import('@/views/TreeFormView.vue')
 const MapView = () => import('@/views/MapView.vue')
 const LoginView = () => import('@/views/LoginView.vue')
 const RegisterView = () => import('@/views/RegisterView.vue')
+const ForgotPasswordView = () => import('@/views/ForgotPasswordView.vue')
+const ResetPasswordView = () => import('@/views/ResetPasswordView.vue')
+const VerifyEmailView = () => import('@/views/VerifyEmailView.vue')
+const ImportView = () => import('@/views/ImportView.vue')
+const ProfileView = () => import('@/views/ProfileView.vue')
+const ModerationView = () => import('@/views/ModerationView.vue')
 
 const routes = [
   {
@@ -35,6 +41,33 @@ const routes = [
       requiresGuest: true // Only accessible when not logged in
     }
   },
+  {
+    path: '/forgot-password',
+    name: 'ForgotPassword',
+    component: ForgotPasswordView,
+    meta: {
+      title: 'Forgot Password - Pin-a-Tree',
+      requiresGuest: true // Signed-in users know their password
+    }
+  },
+  {
+    path: '/reset-password',
+    name: 'ResetPassword',
+    component: ResetPasswordView,
+    meta: {
+      // Opened from the reset email; works signed in or not
+      title: 'Reset Password - Pin-a-Tree'
+    }
+  },
+  {
+    path: '/verify-email',
+    name: 'VerifyEmail',
+    component: VerifyEmailView,
+    meta: {
+      // Opened from the verification email, possibly on another device
+      title: 'Confirm Email - Pin-a-Tree'
+    }
+  },
   {
     path: '/add-tree',
     name: 'AddTree',
@@ -44,6 +77,43 @@ const routes = [
       requiresAuth: true // Requires authentication
     }
   },
+  {
+    path: '/trees/:id/edit',
+    name: 'EditTree',
+    component: TreeFormView,
+    meta: {
+      title: 'Edit Tree - Pin-a-Tree',
+      requiresAuth: true // Only the owner can save changes
+    }
+  },
+  {
+    path: '/import',
+    name: 'ImportTrees',
+    component: ImportView,
+    meta: {
+      title: 'Import Trees - Pin-a-Tree',
+      requiresAuth: true // Imported trees belong to the current user
+    }
+  },
+  {
+    path: '/profile',
+    name: 'Profile',
+    component: ProfileView,
+    meta: {
+      title: 'Your Profile - Pin-a-Tree',
+      requiresAuth: true
+    }
+  },
+  {
+    path: '/moderation',
+    name: 'Moderation',
+    component: ModerationView,
+    meta: {
+      title: 'Moderation - Pin-a-Tree',
+      requiresAuth: true,
+      requiresModerator: true // Moderators and admins only
+    }
+  },
   {
     path: '/map',
     name: 'Map',
@@ -93,6 +163,12 @@ router.beforeEach(async (to, from, next) => {
     return
   }
 
+  if (to.meta.requiresModerator && !userStore.isModerator) {
+    // The server enforces roles too; this only avoids a page full of errors
+    next({ name: 'Home' })
+    return
+  }
+
   if (to.meta.requiresGuest && userStore.isAuthenticated) {
     // Redirect to home if already logged in
     next({ name: 'Home' })
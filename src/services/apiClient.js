@@ -0,0 +1,156 @@
+/**
+ * API Client
+ *
+ * Shared axios instance for the Pin-a-Tree backend.
+ * Attaches the access token to outgoing requests. Access tokens are short
+ * lived: on a 401 the client trades its refresh token for a new pair and
+ * retries the request once. Refreshes are serialized across tabs. When the
+ * refresh token is refused too, the tokens are cleared and
+ * SESSION_EXPIRED_EVENT is dispatched on window.
+ */
+
+import axios from 'axios'
+
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api'
+
+export const SESSION_EXPIRED_EVENT = 'pin-a-tree:session-expired'
+
+const ACCESS_TOKEN_KEY = 'authToken'
+const REFRESH_TOKEN_KEY = 'refreshToken'
+
+// Create axios instance with default config
+export const apiClient = axios.create({
+  baseURL: API_URL,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+})
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY)
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY)
+
+/**
+ * Keep the tokens from a login, registration or refresh response
+ * @param {Object} tokens - { token, refreshToken }
+ */
+export const storeAuthTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem(ACCESS_TOKEN_KEY, token)
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken)
+}
+
+export const clearAuthTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY)
+  localStorage.removeItem(REFRESH_TOKEN_KEY)
+}
+
+// Requests that must not trigger a refresh themselves
+const AUTH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout']
+const isAuthRequest = (config) => AUTH_PATHS.some(path => config.url?.startsWith(path))
+
+// Tabs share the tokens in localStorage, so they refresh one at a time
+const REFRESH_LOCK = 'pin-a-tree:token-refresh'
+
+// Run `refresh` while holding the cross-tab lock, where the browser has one
+const withRefreshLock = (refresh) => {
+  return navigator.locks ? navigator.locks.request(REFRESH_LOCK, refresh) : refresh()
+}
+
+// One refresh at a time: requests failing together wait for the same one,
+// since each refresh token can be used only once. Presenting a token that
+// another tab already traded in would look like theft and end the session,
+// so a tab that waited for the lock first checks whether it still has to.
+let refreshPromise = null
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const staleToken = getRefreshToken()
+    refreshPromise = withRefreshLock(() => {
+      const currentToken = getRefreshToken()
+      if (currentToken && currentToken !== staleToken) return getAccessToken()
+
+      return axios
+        .post(`${API_URL}/auth/refresh`, { refreshToken: currentToken }, { timeout: 10000 })
+        .then(({ data }) => {
+          storeAuthTokens(data)
+          return data.token
+        })
+    }).finally(() => {
+      refreshPromise = null
+    })
+  }
+  return refreshPromise
+}
+
+const endSession = () => {
+  clearAuthTokens()
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT))
+}
+
+// ============================================================================
+// INTERCEPTORS
+// ============================================================================
+
+// Add auth token to requests if available
+apiClient.interceptors.request.use((config) => {
+  const token = getAccessToken()
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+// Refresh an expired access token and retry the request once
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const request = error.config
+    const isUnauthorized = error.response?.status === 401 && request && !isAuthRequest(request)
+
+    if (isUnauthorized && !request._retried && getRefreshToken()) {
+      request._retried = true
+      try {
+        const token = await refreshAccessToken()
+        request.headers.Authorization = `Bearer ${token}`
+        return apiClient(request)
+      } catch (refreshError) {
+        // Offline: keep the tokens and try again on the next request
+        if (refreshError.response) endSession()
+      }
+    } else if (isUnauthorized && getAccessToken()) {
+      endSession()
+    }
+
+    console.error('API Error:', error.response?.data || error.message)
+    throw error
+  }
+)
+
+// Uploaded files are served by the backend outside of /api
+const MEDIA_URL = API_URL.replace(/\/api\/?$/, '')
+
+/**
+ * Turn a server-relative upload path into an absolute URL
+ * @param {string|null} url - Image URL as stored on the tree
+ * @returns {string|null} URL usable from the frontend origin
+ */
+export const resolveMediaUrl = (url) => {
+  if (!url || !url.startsWith('/uploads/')) return url
+  return `${MEDIA_URL}${url}`
+}
+
+/**
+ * Whether a request failed without reaching the server (offline, DNS,
+ * timeout) as opposed to the server rejecting it
+ * @param {Error} error - Error thrown by apiClient, or one wrapping it as `cause`
+ * @returns {boolean} True when the request never got a response
+ */
+export const isNetworkError = (error) => {
+  const requestError = error?.cause || error
+  return !!requestError?.isAxiosError && !requestError.response && requestError.code !== 'ERR_CANCELED'
+}
@@ -0,0 +1,60 @@
+/**
+ * Feed Service
+ *
+ * Service layer for the personal activity feed: trees pinned, observations
+ * recorded and badges earned by the planters the current user follows,
+ * newest first. Events are mapped to the app model as:
+ *
+ *   { id, type: 'tree' | 'observation' | 'badge', createdAt,
+ *     actor: { id, name, username, avatar } | null,
+ *     tree, observation, badge }
+ *
+ * `tree` and `observation` use the tree schema's app model; the ones that do
+ * not apply to the event's type are null.
+ */
+
+import { apiClient } from '@/services/apiClient'
+import { fromApiTree, fromApiObservation, planterName } from '@/services/treeSchema'
+
+// Helper function mapping a feed event to the app model
+const fromApiEvent = (event) => ({
+  id: event.id,
+  type: event.type,
+  createdAt: event.createdAt,
+  actor: event.actor
+    ? {
+        id: event.actor.id,
+        name: planterName(event.actor),
+        username: event.actor.username,
+        avatar: event.actor.avatar
+      }
+    : null,
+  tree: event.tree ? fromApiTree(event.tree) : null,
+  observation: event.observation ? fromApiObservation(event.observation) : null,
+  badge: event.badge || null
+})
+
+class FeedService {
+  /**
+   * One page of the current user's feed
+   * @param {Object} options - { cursor, limit }; cursor comes from the previous page
+   * @returns {Promise<Object>} { events, nextCursor }
+   */
+  async getFeed({ cursor = null, limit = 10 } = {}) {
+    try {
+      const response = await apiClient.get('/feed', {
+        params: { limit, ...(cursor && { cursor }) }
+      })
+      return {
+        events: response.data.map(fromApiEvent),
+        nextCursor: response.headers['x-next-cursor'] || null
+      }
+    } catch (error) {
+      console.error('Error fetching feed:', error)
+      throw new Error(error.response?.data?.error || 'Failed to load your feed', { cause: error })
+    }
+  }
+}
+
+// Export singleton instance
+export const feedService = new FeedService()
@@ -0,0 +1,69 @@
+/**
+ * Geocoding Service
+ *
+ * Service layer for turning coordinates into addresses and place names into
+ * coordinates. The backend picks the provider; places have the shape:
+ *
+ *   { label, latitude, longitude, name, street, district, city,
+ *     region, country, countryCode, postcode }
+ *
+ * `label` is the one-line address shown in forms and stored on trees.
+ */
+
+import { apiClient } from '@/services/apiClient'
+
+// Queries shorter than this are not sent; the API rejects them
+export const MIN_PLACE_QUERY_LENGTH = 3
+
+class GeocodingService {
+  /**
+   * Look up the address of a point
+   * @param {Object} location - { latitude, longitude }
+   * @param {Object} [options] - Request settings
+   * @param {AbortSignal} [options.signal] - Cancels an outdated lookup
+   * @returns {Promise<Object|null>} Place, or null when no address is known
+   */
+  async reverseGeocode({ latitude, longitude }, { signal } = {}) {
+    try {
+      const response = await apiClient.get('/geocode/reverse', {
+        params: { lat: latitude, lng: longitude },
+        signal
+      })
+      return response.data
+    } catch (error) {
+      if (error.response?.status === 404) return null
+      if (error.name === 'CanceledError') throw error
+      console.error('Error reverse geocoding:', error)
+      throw new Error('Failed to look up the address', { cause: error })
+    }
+  }
+
+  /**
+   * Search places by name or address
+   * @param {string} query - Text typed by the user, e.g. "Central Park"
+   * @param {Object} [options] - Search settings
+   * @param {number} [options.limit] - Maximum number of places
+   * @param {Object} [options.near] - { latitude, longitude } to prefer nearby places
+   * @param {AbortSignal} [options.signal] - Cancels an outdated search
+   * @returns {Promise<Array>} Matching places, best match first
+   */
+  async searchPlaces(query, { limit, near, signal } = {}) {
+    const q = query.trim()
+    if (q.length < MIN_PLACE_QUERY_LENGTH) return []
+
+    try {
+      const response = await apiClient.get('/geocode/search', {
+        params: { q, limit, lat: near?.latitude, lng: near?.longitude },
+        signal
+      })
+      return response.data
+    } catch (error) {
+      if (error.name === 'CanceledError') throw error
+      console.error('Error searching places:', error)
+      throw new Error('Failed to search places', { cause: error })
+    }
+  }
+}
+
+// Export singleton instance
+export const geocodingService = new GeocodingService()
@@ -0,0 +1,112 @@
+/**
+ * Moderation Service
+ *
+ * Service layer for flagging trees and for the moderation queue. Any
+ * signed-in user can report a tree; the queue and the hide, restore and
+ * delete actions need a moderator or admin account. Every action is sent
+ * with the reason the moderator gave, which the server logs.
+ */
+
+import { apiClient } from '@/services/apiClient'
+import { fromApiTree } from '@/services/treeSchema'
+
+// Reasons offered in the report form, in the order shown
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam or advertising' },
+  { value: 'offensive', label: 'Offensive photo or text' },
+  { value: 'not_a_tree', label: 'Not a tree' },
+  { value: 'wrong_information', label: 'Wrong species, location or details' },
+  { value: 'other', label: 'Something else' }
+]
+
+// Helper function mapping a report to the app model
+const fromApiReport = (report) => ({
+  ...report,
+  reason: report.reason.toLowerCase()
+})
+
+// Helper function mapping a logged moderator decision to the app model
+const fromApiAction = (action) => ({
+  ...action,
+  action: action.action.toLowerCase()
+})
+
+const toRequestError = (error, fallbackMessage) =>
+  new Error(error.response?.data?.error || fallbackMessage, { cause: error })
+
+class ModerationService {
+  /**
+   * Flag a tree for the moderators. Reporting the same tree again returns
+   * the open report instead of adding one.
+   * @param {string} treeId - Tree identifier
+   * @param {Object} report - { reason, details }, reason from REPORT_REASONS
+   * @returns {Promise<Object>} Report { id, reason, details, reporter, createdAt }
+   */
+  async reportTree(treeId, { reason, details = '' }) {
+    try {
+      const response = await apiClient.post(`/trees/${treeId}/reports`, {
+        reason: reason.toUpperCase(),
+        details: details.trim()
+      })
+      return fromApiReport(response.data)
+    } catch (error) {
+      console.error('Error reporting tree:', error)
+      throw toRequestError(error, 'Failed to report tree')
+    }
+  }
+
+  /**
+   * Trees waiting for a moderator
+   * @param {string} [status] - 'open' (unresolved reports) or 'hidden'
+   * @returns {Promise<Array>} [{ tree, hiddenAt, reports, lastReportedAt }], most reported first
+   */
+  async getQueue(status = 'open') {
+    try {
+      const response = await apiClient.get('/moderation/queue', { params: { status } })
+      return response.data.map(entry => ({
+        ...entry,
+        tree: fromApiTree(entry.tree),
+        reports: entry.reports.map(fromApiReport)
+      }))
+    } catch (error) {
+      console.error('Error fetching moderation queue:', error)
+      throw toRequestError(error, 'Failed to load the moderation queue')
+    }
+  }
+
+  /**
+   * Latest moderator decisions
+   * @returns {Promise<Array>} [{ id, action, reason, treeId, treeName, moderator, createdAt }]
+   */
+  async getActions() {
+    try {
+      const response = await apiClient.get('/moderation/actions')
+      return response.data.map(fromApiAction)
+    } catch (error) {
+      console.error('Error fetching moderation log:', error)
+      throw toRequestError(error, 'Failed to load the moderation log')
+    }
+  }
+
+  /**
+   * Hide, restore or delete a tree
+   * @param {string} treeId - Tree identifier
+   * @param {string} action - 'hide', 'restore' or 'delete'
+   * @param {string} reason - Why, recorded in the moderation log
+   * @returns {Promise<Object>} The logged decision
+   */
+  async moderateTree(treeId, action, reason) {
+    try {
+      const response = action === 'delete'
+        ? await apiClient.delete(`/moderation/trees/${treeId}`, { data: { reason } })
+        : await apiClient.post(`/moderation/trees/${treeId}/${action}`, { reason })
+      return fromApiAction(response.data)
+    } catch (error) {
+      console.error(`Error applying moderation action ${action}:`, error)
+      throw toRequestError(error, `Failed to ${action} tree`)
+    }
+  }
+}
+
+// Export singleton instance
+export const moderationService = new ModerationService()
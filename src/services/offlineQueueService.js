@@ -0,0 +1,103 @@
+/**
+ * Offline Queue Service
+ *
+ * Persists tree submissions in IndexedDB while the device is offline so
+ * they survive reloads until they can be synced. Photos are stored as
+ * Blobs next to the tree data.
+ *
+ * Queue item shape:
+ * {
+ *   clientId,      // also sent to POST /trees so replays are deduplicated
+ *   treeData,      // tree in the app model shape, without the image URL
+ *   imageFile,     // Blob|null - photo still to upload
+ *   upload,        // Object|null - upload response once the photo is stored
+ *   status,        // 'pending' | 'failed'
+ *   attempts,
+ *   lastError,
+ *   createdAt
+ * }
+ */
+
+const DB_NAME = 'pin-a-tree'
+const DB_VERSION = 1
+const STORE_NAME = 'pendingTrees'
+
+// Helper function wrapping an IDBRequest in a promise
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+class OfflineQueueService {
+  constructor() {
+    this.dbPromise = null
+  }
+
+  /**
+   * Whether IndexedDB is available in this browser
+   * @returns {boolean} Support status
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined'
+  }
+
+  /**
+   * Open (and create on first use) the queue database
+   * @returns {Promise<IDBDatabase>} Database handle
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'clientId' })
+        }
+      }
+      this.dbPromise = promisifyRequest(request)
+    }
+    return this.dbPromise
+  }
+
+  /**
+   * Run a callback against the object store inside a transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} Result of the request
+   */
+  async withStore(mode, callback) {
+    const db = await this.openDatabase()
+    const transaction = db.transaction(STORE_NAME, mode)
+    return promisifyRequest(callback(transaction.objectStore(STORE_NAME)))
+  }
+
+  /**
+   * Get every queued submission, oldest first
+   * @returns {Promise<Array>} Queue items
+   */
+  async getAll() {
+    const items = await this.withStore('readonly', store => store.getAll())
+    return items.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+  }
+
+  /**
+   * Insert or update a queue item
+   * @param {Object} item - Queue item keyed by clientId
+   * @returns {Promise<void>}
+   */
+  async save(item) {
+    await this.withStore('readwrite', store => store.put(item))
+  }
+
+  /**
+   * Remove a queue item
+   * @param {string} clientId - Client-generated tree id
+   * @returns {Promise<void>}
+   */
+  async remove(clientId) {
+    await this.withStore('readwrite', store => store.delete(clientId))
+  }
+}
+
+// Export singleton instance
+export const offlineQueueService = new OfflineQueueService()
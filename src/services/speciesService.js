@@ -0,0 +1,40 @@
+/**
+ * Species Service
+ *
+ * Service layer for the species catalog used by the species autocomplete.
+ * Catalog entries have the shape:
+ *
+ *   { id, scientificName, commonName, commonNames, family, rank }
+ */
+
+import { apiClient } from '@/services/apiClient'
+
+// Queries shorter than this are not sent; the API rejects them
+export const MIN_SPECIES_QUERY_LENGTH = 2
+
+class SpeciesService {
+  /**
+   * Search the catalog by scientific or common name
+   * @param {string} query - Text typed by the user
+   * @param {Object} [options] - Search settings
+   * @param {number} [options.limit] - Maximum number of suggestions
+   * @param {AbortSignal} [options.signal] - Cancels an outdated search
+   * @returns {Promise<Array>} Matching catalog entries, best match first
+   */
+  async searchSpecies(query, { limit, signal } = {}) {
+    const q = query.trim()
+    if (q.length < MIN_SPECIES_QUERY_LENGTH) return []
+
+    try {
+      const response = await apiClient.get('/species', { params: { q, limit }, signal })
+      return response.data
+    } catch (error) {
+      if (error.name === 'CanceledError') throw error
+      console.error('Error searching species:', error)
+      throw new Error('Failed to search species', { cause: error })
+    }
+  }
+}
+
+// Export singleton instance
+export const speciesService = new SpeciesService()
@@ -0,0 +1,51 @@
+/**
+ * Stats Service
+ *
+ * Service layer for the community statistics shown on the home page:
+ * totals, trees pinned per month and planter leaderboards. The server
+ * computes them over the whole dataset and caches the result for a few
+ * minutes, so they may lag slightly behind the newest trees.
+ */
+
+import { apiClient } from '@/services/apiClient'
+import { planterName } from '@/services/treeSchema'
+
+// Helper function mapping the planter of a leaderboard entry to the app model
+const fromApiEntry = (entry) => ({
+  ...entry,
+  user: { ...entry.user, name: planterName(entry.user) }
+})
+
+class StatsService {
+  /**
+   * Community statistics
+   * @returns {Promise<Object>} { generatedAt, totals: { trees, healthyTrees, species,
+   *   members, activePlanters }, treesPerMonth: [{ month, count }],
+   *   leaderboards: { allTime, thisMonth, bySpecies }, benefits }; leaderboard
+   *   entries are { rank, user, treeCount }; benefits are the estimated
+   *   ecosystem benefits of every tree, with their methodology
+   */
+  async getCommunityStats() {
+    try {
+      const response = await apiClient.get('/stats')
+      const { leaderboards, ...stats } = response.data
+      return {
+        ...stats,
+        leaderboards: {
+          allTime: leaderboards.allTime.map(fromApiEntry),
+          thisMonth: leaderboards.thisMonth.map(fromApiEntry),
+          bySpecies: leaderboards.bySpecies.map(species => ({
+            ...species,
+            planters: species.planters.map(fromApiEntry)
+          }))
+        }
+      }
+    } catch (error) {
+      console.error('Error fetching community stats:', error)
+      throw new Error(error.response?.data?.error || 'Failed to load community stats', { cause: error })
+    }
+  }
+}
+
+// Export singleton instance
+export const statsService = new StatsService()
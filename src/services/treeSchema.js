@@ -0,0 +1,320 @@
+/**
+ * Tree Schema
+ *
+ * Client-side counterpart of backend/src/schemas/tree.ts. Converts between
+ * the API wire format (flat latitude/longitude/imageUrl, uppercase status)
+ * and the app model used by stores and components:
+ *
+ *   { id, name, species, speciesId, speciesInfo, description, datePlanted,
+ *     location: { latitude, longitude, address, city, district },
+ *     image: { url, alt, variants },
+ *     user: { id, name, username, avatar },
+ *     status, tags, likeCount, commentCount, createdAt, updatedAt }
+ *
+ * `speciesInfo` is the linked species catalog entry (see speciesService)
+ * or null when the species was entered as free text. `city` and `district`
+ * come from geocoding the location (see geocodingService) and may be null.
+ *
+ * Trees are validated before they are sent so problems surface per field.
+ *
+ * Observations (entries in a tree's health history) use:
+ *
+ *   { id, treeId, observedAt, status, notes,
+ *     image: { url, variants } | null,
+ *     observer: { id, name, username, avatar } | null }
+ *
+ * and comments use:
+ *
+ *   { id, treeId, body, author: { id, name, username, avatar } | null, createdAt }
+ */
+
+import { isNullIsland } from '@/utils/geo'
+
+export const TREE_STATUSES = ['healthy', 'flowering', 'diseased', 'dead']
+
+// Wire field -> app model path, used to place server errors on form fields
+const API_FIELD_PATHS = {
+  latitude: 'location.latitude',
+  longitude: 'location.longitude',
+  address: 'location.address',
+  imageUrl: 'image.url',
+  imageAlt: 'image.alt',
+  imageVariants: 'image.variants'
+}
+
+/**
+ * Error raised when a tree fails validation, locally or on the server
+ * @property {Object} fields - Map of app model path to message
+ */
+export class TreeValidationError extends Error {
+  constructor(fields, message = 'Please fix the highlighted fields') {
+    super(message)
+    this.name = 'TreeValidationError'
+    this.fields = fields
+  }
+}
+
+/**
+ * Error raised when the server refuses a new tree because a tree of the
+ * same species is already pinned close by
+ * @property {Array} duplicates - [{ distance, tree }], nearest first
+ */
+export class DuplicateTreeError extends Error {
+  constructor(duplicates, message = 'This tree may already be on the map') {
+    super(message)
+    this.name = 'DuplicateTreeError'
+    this.duplicates = duplicates
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === ''
+
+const isNumberInRange = (value, min, max) => {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max
+}
+
+/**
+ * Validate a tree in the app model shape
+ * @param {Object} tree - Tree data (full for create, partial for update)
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only check the fields that are present
+ * @returns {Object|null} Map of field path to message, or null when valid
+ */
+export const validateTree = (tree, { partial = false } = {}) => {
+  const errors = {}
+  const has = (key) => !partial || tree[key] !== undefined
+
+  if (has('name') && isBlank(tree.name)) {
+    errors.name = 'Tree name is required'
+  } else if (tree.name && tree.name.trim().length > 200) {
+    errors.name = 'Tree name must be 200 characters or fewer'
+  }
+
+  if (has('species') && isBlank(tree.species)) {
+    errors.species = 'Species is required'
+  }
+
+  if (has('location')) {
+    const { latitude, longitude } = tree.location || {}
+    if (!isNumberInRange(latitude, -90, 90)) {
+      errors['location.latitude'] = 'Latitude must be a number between -90 and 90'
+    }
+    if (!isNumberInRange(longitude, -180, 180)) {
+      errors['location.longitude'] = 'Longitude must be a number between -180 and 180'
+    }
+    if (isNullIsland({ latitude, longitude })) {
+      errors['location.latitude'] = 'Pick the tree location on the map'
+    }
+  }
+
+  if (has('image') && isBlank(tree.image?.url)) {
+    errors['image.url'] = 'A photo is required'
+  }
+
+  if (tree.datePlanted && new Date(tree.datePlanted) > new Date()) {
+    errors.datePlanted = 'Planting date cannot be in the future'
+  }
+
+  if (tree.status !== undefined && !TREE_STATUSES.includes(tree.status)) {
+    errors.status = `Status must be one of ${TREE_STATUSES.join(', ')}`
+  }
+
+  return Object.keys(errors).length ? errors : null
+}
+
+/**
+ * Build the display name for a planter returned by the API
+ * @param {Object|null} user - API user ({ username, firstName, lastName })
+ * @returns {string} Display name
+ */
+export const planterName = (user) => {
+  if (!user) return 'Anonymous'
+  if (user.firstName && user.lastName) return `${user.firstName} ${user.lastName}`
+  return user.firstName || user.username || 'Anonymous'
+}
+
+/**
+ * Map a tree from the API response shape to the app model
+ * @param {Object} apiTree - Tree as returned by the backend
+ * @returns {Object} Tree in the app model shape
+ */
+export const fromApiTree = (apiTree) => ({
+  id: apiTree.id,
+  name: apiTree.name,
+  species: apiTree.species || '',
+  speciesId: apiTree.speciesId || null,
+  speciesInfo: apiTree.speciesInfo || null,
+  description: apiTree.description || '',
+  datePlanted: apiTree.datePlanted ? apiTree.datePlanted.split('T')[0] : null,
+  location: {
+    latitude: apiTree.latitude,
+    longitude: apiTree.longitude,
+    address: apiTree.address || '',
+    city: apiTree.city || null,
+    district: apiTree.district || null
+  },
+  image: apiTree.imageUrl
+    ? {
+        url: apiTree.imageUrl,
+        alt: apiTree.imageAlt || `Photo of ${apiTree.name}`,
+        variants: apiTree.imageVariants || null
+      }
+    : null,
+  user: apiTree.user
+    ? {
+        id: apiTree.user.id,
+        name: planterName(apiTree.user),
+        username: apiTree.user.username,
+        avatar: apiTree.user.avatar
+      }
+    : null,
+  status: (apiTree.status || 'HEALTHY').toLowerCase(),
+  tags: apiTree.tags || [],
+  likeCount: apiTree.likeCount ?? 0,
+  commentCount: apiTree.commentCount ?? 0,
+  createdAt: apiTree.createdAt,
+  updatedAt: apiTree.updatedAt
+})
+
+/**
+ * Map a tree in the app model to an API request body. Only fields that are
+ * present are included, so the same mapper serves create and update.
+ * @param {Object} tree - Tree data in the app model shape
+ * @returns {Object} Request body for POST/PATCH /trees
+ */
+export const toApiTreeRequest = (tree) => {
+  const body = {}
+
+  if (tree.name !== undefined) body.name = tree.name.trim()
+  if (tree.species !== undefined) body.species = tree.species.trim()
+  if (tree.speciesId !== undefined) body.speciesId = tree.speciesId || null
+  if (tree.description !== undefined) body.description = tree.description.trim()
+  if (tree.datePlanted !== undefined) body.datePlanted = tree.datePlanted || null
+  if (tree.status !== undefined) body.status = tree.status.toUpperCase()
+  if (tree.tags !== undefined) body.tags = tree.tags
+  if (tree.clientId !== undefined) body.clientId = tree.clientId
+  if (tree.allowDuplicate) body.allowDuplicate = true
+
+  if (tree.location !== undefined) {
+    body.latitude = tree.location.latitude
+    body.longitude = tree.location.longitude
+    body.address = (tree.location.address || '').trim()
+    // Left out unless known, so the server fills them from the coordinates
+    if (tree.location.city !== undefined) body.city = tree.location.city || null
+    if (tree.location.district !== undefined) body.district = tree.location.district || null
+  }
+
+  if (tree.image !== undefined) {
+    body.imageUrl = tree.image.url
+    body.imageAlt = tree.image.alt || null
+    body.imageVariants = tree.image.variants || null
+  }
+
+  return body
+}
+
+/**
+ * Map server-side field errors onto app model paths
+ * @param {Object} fields - Map of wire field name to message
+ * @returns {Object} Map of app model path to message
+ */
+export const fromApiFieldErrors = (fields) => {
+  return Object.fromEntries(
+    Object.entries(fields).map(([field, message]) => [API_FIELD_PATHS[field] || field, message])
+  )
+}
+
+/**
+ * Map likely duplicates from GET /trees/duplicates or a 409 response
+ * @param {Array} duplicates - [{ distance, tree }] with API trees
+ * @returns {Array} [{ distance, tree }] with trees in the app model shape
+ */
+export const fromApiDuplicates = (duplicates = []) => {
+  return duplicates.map(({ distance, tree }) => ({ distance, tree: fromApiTree(tree) }))
+}
+
+/**
+ * Validate an observation in the app model shape
+ * @param {Object} observation - { status, observedAt, notes }
+ * @returns {Object|null} Map of field to message, or null when valid
+ */
+export const validateObservation = (observation) => {
+  const errors = {}
+
+  if (!TREE_STATUSES.includes(observation.status)) {
+    errors.status = `Status must be one of ${TREE_STATUSES.join(', ')}`
+  }
+
+  if (observation.observedAt && new Date(observation.observedAt) > new Date()) {
+    errors.observedAt = 'Observation date cannot be in the future'
+  }
+
+  if (observation.notes && observation.notes.trim().length > 2000) {
+    errors.notes = 'Notes must be 2000 characters or fewer'
+  }
+
+  return Object.keys(errors).length ? errors : null
+}
+
+/**
+ * Map an observation from the API response shape to the app model
+ * @param {Object} apiObservation - Observation as returned by the backend
+ * @returns {Object} Observation in the app model shape
+ */
+export const fromApiObservation = (apiObservation) => ({
+  id: apiObservation.id,
+  treeId: apiObservation.treeId,
+  observedAt: apiObservation.observedAt,
+  status: (apiObservation.status || 'HEALTHY').toLowerCase(),
+  notes: apiObservation.notes || '',
+  image: apiObservation.imageUrl
+    ? { url: apiObservation.imageUrl, variants: apiObservation.imageVariants || null }
+    : null,
+  observer: apiObservation.observer
+    ? {
+        id: apiObservation.observer.id,
+        name: planterName(apiObservation.observer),
+        username: apiObservation.observer.username,
+        avatar: apiObservation.observer.avatar
+      }
+    : null
+})
+
+/**
+ * Map a comment from the API response shape to the app model
+ * @param {Object} apiComment - Comment as returned by the backend
+ * @returns {Object} Comment in the app model shape
+ */
+export const fromApiComment = (apiComment) => ({
+  id: apiComment.id,
+  treeId: apiComment.treeId,
+  body: apiComment.body,
+  author: apiComment.author
+    ? {
+        id: apiComment.author.id,
+        name: planterName(apiComment.author),
+        username: apiComment.author.username,
+        avatar: apiComment.author.avatar
+      }
+    : null,
+  createdAt: apiComment.createdAt
+})
+
+/**
+ * Map an observation in the app model to a POST body
+ * @param {Object} observation - { status, observedAt, notes, image }
+ * @returns {Object} Request body for POST /trees/:id/observations
+ */
+export const toApiObservationRequest = (observation) => {
+  const body = { status: observation.status.toUpperCase() }
+
+  // A bare date means "that day"; the server stores a timestamp
+  if (observation.observedAt) body.observedAt = new Date(observation.observedAt).toISOString()
+  if (observation.notes) body.notes = observation.notes.trim()
+  if (observation.image?.url) {
+    body.imageUrl = observation.image.url
+    body.imageVariants = observation.image.variants || null
+  }
+
+  return body
+}
@@ -7,52 +7,121 @@ const USE_MOCK_DATA = false // Now using real APIs with authentication!ervice
  * Now connected to real backend APIs!
  */
 
-import axios from 'axios'
+import { apiClient } from '@/services/apiClient'
+import {
+  fromApiTree,
+  toApiTreeRequest,
+  fromApiFieldErrors,
+  fromApiObservation,
+  toApiObservationRequest,
+  fromApiComment,
+  validateTree,
+  validateObservation,
+  fromApiDuplicates,
+  TreeValidationError,
+  DuplicateTreeError
+} from '@/services/treeSchema'
+import { distanceInMeters } from '@/utils/geo'
 import mockTrees from '@/mocks/trees.json'
 
 // Configuration
 const USE_MOCK_DATA = false // Using mock data for stable demo, can be switched to false for real API
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api'
-
-// Create axios instance with default config
-const apiClient = axios.create({
-  baseURL: API_URL,
-  timeout: 10000,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-})
-
-// Add auth token to requests if available
-apiClient.interceptors.request.use((config) => {
-  const token = localStorage.getItem('authToken')
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`
-  }
-  return config
-})
-
-// Add response interceptor for better error handling
-apiClient.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    console.error('API Error:', error.response?.data || error.message)
-    if (error.response?.status === 401) {
-      localStorage.removeItem('authToken')
-    }
-    throw error
-  }
-)
 
 // Simulated delay for mock API calls
 const MOCK_DELAY = 800
 
+// Mirrors the backend's default DUPLICATE_RADIUS_METERS for mock data
+const MOCK_DUPLICATE_RADIUS = 15
+
 // In-memory storage for added trees (simulates database)
 let treesDatabase = [...mockTrees]
 
+// In-memory observation history by tree id
+const mockObservations = {}
+
 // Helper function to simulate API delay
 const simulateApiDelay = () => new Promise(resolve => setTimeout(resolve, MOCK_DELAY))
 
+// Helper function mirroring the backend bbox filter for mock data
+const isInBounds = (location, bounds) => {
+  if (!location) return false
+  const { latitude, longitude } = location
+  if (latitude < bounds.south || latitude > bounds.north) return false
+  // West edge greater than east edge means the box crosses the antimeridian
+  return bounds.west <= bounds.east
+    ? longitude >= bounds.west && longitude <= bounds.east
+    : longitude >= bounds.west || longitude <= bounds.east
+}
+
+// Helper function turning an axios error into the error thrown to callers,
+// keeping server-side field errors attached
+const toRequestError = (error, fallbackMessage) => {
+  const data = error.response?.data
+  if (error.response?.status === 400 && data?.fields) {
+    return new TreeValidationError(fromApiFieldErrors(data.fields))
+  }
+  if (error.response?.status === 409 && data?.duplicates) {
+    return new DuplicateTreeError(fromApiDuplicates(data.duplicates), data.error)
+  }
+  return new Error(data?.error || fallbackMessage, { cause: error })
+}
+
+// Helper function turning treeStore.filters into list query parameters
+const toFilterParams = (filters = {}) => ({
+  q: filters.search?.trim() || undefined,
+  species: filters.species || undefined,
+  status: filters.status || undefined,
+  user: filters.user || undefined,
+  tags: filters.tags?.length ? filters.tags.join(',') : undefined,
+  plantedFrom: filters.dateRange?.start || undefined,
+  plantedTo: filters.dateRange?.end || undefined,
+  createdFrom: filters.createdRange?.start || undefined,
+  createdTo: filters.createdRange?.end || undefined
+})
+
+// Helper function mirroring the backend list filters for mock data
+const matchesFilters = (tree, filters = {}) => {
+  const contains = (value, query) => !!value && value.toLowerCase().includes(query.toLowerCase())
+  const inRange = (date, range) => {
+    if (!range?.start && !range?.end) return true
+    const day = date?.split('T')[0]
+    return !!day && (!range.start || day >= range.start) && (!range.end || day <= range.end)
+  }
+
+  const terms = filters.search?.trim().split(/\s+/).filter(Boolean) || []
+  return terms.every(term =>
+    [tree.name, tree.description, tree.species].some(value => contains(value, term)) ||
+    tree.tags?.some(tag => tag.toLowerCase() === term.toLowerCase())
+  ) &&
+    (!filters.species || contains(tree.species, filters.species)) &&
+    (!filters.status || tree.status === filters.status) &&
+    (!filters.user || contains(tree.user?.name, filters.user)) &&
+    (filters.tags || []).every(tag => tree.tags?.includes(tag)) &&
+    inRange(tree.datePlanted, filters.dateRange) &&
+    inRange(tree.createdAt, filters.createdRange)
+}
+
+// Helper function mirroring the backend `sort` parameter for mock data
+const compareTrees = (sort) => {
+  const descending = sort.startsWith('-')
+  const field = sort.replace(/^-/, '')
+  return (a, b) => {
+    const order = String(a[field] ?? '').localeCompare(String(b[field] ?? ''))
+    return descending ? -order : order
+  }
+}
+
+// Helper function turning a bounds object into the bbox query value
+const toBboxParam = (bounds) => bounds
+  ? [bounds.west, bounds.south, bounds.east, bounds.north].join(',')
+  : undefined
+
+// Helper function reading the download name from Content-Disposition
+const filenameFromHeaders = (headers, fallback) => {
+  const match = /filename="?([^";]+)"?/.exec(headers['content-disposition'] || '')
+  return match ? match[1] : fallback
+}
+
 class TreeService {
   /**
    * Get all trees from the backend API
@@ -66,13 +135,157 @@ class TreeService {
     
     try {
       const response = await apiClient.get('/trees')
-      return response.data
+      return response.data.map(fromApiTree)
     } catch (error) {
       console.error('Error fetching trees:', error)
       throw new Error('Failed to fetch trees')
     }
   }
 
+  /**
+   * Get trees inside a map viewport
+   * @param {Object} bounds - Viewport edges { west, south, east, north }
+   * @param {Object} [options] - Optional query settings
+   * @param {number} [options.zoom] - Current map zoom, used for the server default limit
+   * @param {number} [options.limit] - Maximum number of trees to return
+   * @param {Object} [options.filters] - Filters in the treeStore.filters shape
+   * @returns {Promise<Array>} Array of tree objects inside the bounds
+   */
+  async getTreesInBounds(bounds, options = {}) {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      return treesDatabase.filter(tree =>
+        isInBounds(tree.location, bounds) && matchesFilters(tree, options.filters)
+      )
+    }
+
+    try {
+      const response = await apiClient.get('/trees', {
+        params: {
+          ...toFilterParams(options.filters),
+          bbox: toBboxParam(bounds),
+          zoom: options.zoom,
+          limit: options.limit
+        }
+      })
+      return response.data.map(fromApiTree)
+    } catch (error) {
+      console.error('Error fetching trees in bounds:', error)
+      throw new Error('Failed to fetch trees')
+    }
+  }
+
+  /**
+   * Search trees one page at a time
+   * @param {Object} [options] - Query settings
+   * @param {Object} [options.filters] - Filters in the treeStore.filters shape
+   * @param {string} [options.sort] - Sort key, e.g. 'name' or '-createdAt'
+   * @param {string} [options.cursor] - nextCursor of the previous page
+   * @param {number} [options.limit] - Page size (server caps it at 100)
+   * @param {Object} [options.bounds] - Optional viewport edges { west, south, east, north }
+   * @returns {Promise<Object>} { trees, nextCursor, total } - total only on the first page
+   */
+  async searchTrees({ filters = {}, sort = '-createdAt', cursor = null, limit = 20, bounds = null } = {}) {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      const matches = treesDatabase
+        .filter(tree => (!bounds || isInBounds(tree.location, bounds)) && matchesFilters(tree, filters))
+        .sort(compareTrees(sort))
+      const start = cursor ? matches.findIndex(tree => tree.id === cursor) + 1 : 0
+      const trees = matches.slice(start, start + limit)
+      const hasMore = start + limit < matches.length
+
+      return {
+        trees,
+        nextCursor: hasMore ? trees[trees.length - 1].id : null,
+        total: cursor ? null : matches.length
+      }
+    }
+
+    try {
+      const response = await apiClient.get('/trees', {
+        params: {
+          ...toFilterParams(filters),
+          bbox: toBboxParam(bounds),
+          sort,
+          cursor: cursor || undefined,
+          limit
+        }
+      })
+      const total = response.headers['x-total-count']
+
+      return {
+        trees: response.data.map(fromApiTree),
+        nextCursor: response.headers['x-next-cursor'] || null,
+        total: total === undefined ? null : Number(total)
+      }
+    } catch (error) {
+      console.error('Error searching trees:', error)
+      throw toRequestError(error, 'Failed to search trees')
+    }
+  }
+
+  /**
+   * Export trees as a downloadable file
+   * @param {string} format - 'geojson', 'csv' or 'kml'
+   * @param {Object} [filters] - Filters in the treeStore.filters shape
+   * @param {Object} [bounds] - Optional viewport edges { west, south, east, north }
+   * @returns {Promise<Object>} { blob, filename }
+   */
+  async exportTrees(format, filters = {}, bounds = null) {
+    if (USE_MOCK_DATA) {
+      throw new Error('Exports require the backend API')
+    }
+
+    try {
+      const response = await apiClient.get('/trees/export', {
+        params: {
+          format,
+          ...toFilterParams(filters),
+          bbox: toBboxParam(bounds)
+        },
+        responseType: 'blob',
+        timeout: 60000
+      })
+
+      return {
+        blob: response.data,
+        filename: filenameFromHeaders(response.headers, `pin-a-tree.${format}`)
+      }
+    } catch (error) {
+      console.error('Error exporting trees:', error)
+      throw new Error('Failed to export trees', { cause: error })
+    }
+  }
+
+  /**
+   * Bulk import trees from a CSV or GeoJSON file
+   * @param {File} file - Inventory file
+   * @param {Object} [options] - Import settings
+   * @param {boolean} [options.dryRun=true] - Only validate; nothing is saved
+   * @returns {Promise<Object>} Import report with per-row status
+   */
+  async importTrees(file, { dryRun = true } = {}) {
+    if (USE_MOCK_DATA) {
+      throw new Error('Imports require the backend API')
+    }
+
+    const formData = new FormData()
+    formData.append('file', file)
+
+    try {
+      const response = await apiClient.post('/trees/import', formData, {
+        params: { dryRun },
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 60000
+      })
+      return response.data
+    } catch (error) {
+      console.error('Error importing trees:', error)
+      throw new Error(error.response?.data?.error || 'Failed to import trees', { cause: error })
+    }
+  }
+
   /**
    * Get a specific tree by ID from the backend API
    * @param {string} treeId - Tree identifier
@@ -90,19 +303,61 @@ class TreeService {
     
     try {
       const response = await apiClient.get(`/trees/${treeId}`)
-      return response.data
+      return fromApiTree(response.data)
     } catch (error) {
       console.error('Error fetching tree:', error)
       throw new Error('Failed to fetch tree')
     }
   }
 
+  /**
+   * Find trees of the same species already pinned close to a new one
+   * @param {Object} treeData - Tree about to be created: species, speciesId, location
+   * @returns {Promise<Array>} [{ distance, tree }], nearest first; distance in meters
+   */
+  async findDuplicates(treeData) {
+    const { latitude, longitude } = treeData.location || {}
+
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      const species = treeData.species.trim().toLowerCase()
+      return treesDatabase
+        .filter(tree => tree.location && tree.species?.trim().toLowerCase() === species)
+        .map(tree => ({ distance: distanceInMeters(tree.location, { latitude, longitude }), tree }))
+        .filter(({ distance }) => distance <= MOCK_DUPLICATE_RADIUS)
+        .sort((a, b) => a.distance - b.distance)
+    }
+
+    try {
+      const response = await apiClient.get('/trees/duplicates', {
+        params: {
+          latitude,
+          longitude,
+          species: treeData.species.trim(),
+          speciesId: treeData.speciesId || undefined
+        }
+      })
+      return fromApiDuplicates(response.data)
+    } catch (error) {
+      console.error('Error finding duplicate trees:', error)
+      throw toRequestError(error, 'Failed to check for duplicate trees')
+    }
+  }
+
   /**
    * Create a new tree entry in the backend API
    * @param {Object} treeData - Tree data object
    * @returns {Promise<Object>} Created tree object
+   * @throws {TreeValidationError} When fields are missing or malformed
+   * @throws {DuplicateTreeError} When a tree of the same species is pinned
+   *   close by and `treeData.allowDuplicate` is not set
    */
   async createTree(treeData) {
+    const fieldErrors = validateTree(treeData)
+    if (fieldErrors) {
+      throw new TreeValidationError(fieldErrors)
+    }
+
     if (USE_MOCK_DATA) {
       await simulateApiDelay()
       
@@ -129,11 +384,228 @@ class TreeService {
     }
     
     try {
-      const response = await apiClient.post('/trees', treeData)
-      return response.data
+      const response = await apiClient.post('/trees', toApiTreeRequest(treeData))
+      return fromApiTree(response.data)
     } catch (error) {
       console.error('Error creating tree:', error)
-      throw new Error('Failed to create tree')
+      throw toRequestError(error, 'Failed to create tree')
+    }
+  }
+
+  /**
+   * Update an existing tree (owner only)
+   * @param {string} treeId - Tree identifier
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated tree object
+   * @throws {TreeValidationError} When a changed field is malformed
+   */
+  async updateTree(treeId, updates) {
+    const fieldErrors = validateTree(updates, { partial: true })
+    if (fieldErrors) {
+      throw new TreeValidationError(fieldErrors)
+    }
+
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      const index = treesDatabase.findIndex(t => t.id === treeId)
+      if (index === -1) {
+        throw new Error('Tree not found')
+      }
+      treesDatabase[index] = {
+        ...treesDatabase[index],
+        ...updates,
+        updatedAt: new Date().toISOString()
+      }
+      return treesDatabase[index]
+    }
+
+    try {
+      const response = await apiClient.patch(`/trees/${treeId}`, toApiTreeRequest(updates))
+      return fromApiTree(response.data)
+    } catch (error) {
+      console.error('Error updating tree:', error)
+      throw toRequestError(error, 'Failed to update tree')
+    }
+  }
+
+  /**
+   * Get a tree's observation history, newest first
+   * @param {string} treeId - Tree identifier
+   * @returns {Promise<Array>} Array of observations
+   */
+  async getObservations(treeId) {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      return mockObservations[treeId] ? [...mockObservations[treeId]] : []
+    }
+
+    try {
+      const response = await apiClient.get(`/trees/${treeId}/observations`)
+      return response.data.map(fromApiObservation)
+    } catch (error) {
+      console.error('Error fetching observations:', error)
+      throw toRequestError(error, 'Failed to fetch observations')
+    }
+  }
+
+  /**
+   * Estimated carbon, stormwater and air quality benefits of a tree
+   * @param {string} treeId - Tree identifier
+   * @returns {Promise<Object>} { ageYears, ageFrom, profile, co2SequesteredKg, co2PerYearKg,
+   *   stormwaterLitersPerYear, airPollutantsGramsPerYear, methodology: { summary, assumptions } }
+   */
+  async getTreeBenefits(treeId) {
+    try {
+      const response = await apiClient.get(`/trees/${treeId}/benefits`)
+      return response.data
+    } catch (error) {
+      console.error('Error fetching tree benefits:', error)
+      throw toRequestError(error, 'Failed to estimate tree benefits')
+    }
+  }
+
+  /**
+   * Record an observation; the tree's status follows its latest observation
+   * @param {string} treeId - Tree identifier
+   * @param {Object} observation - { status, observedAt, notes, image }
+   * @returns {Promise<Object>} { observation, treeStatus }
+   */
+  async addObservation(treeId, observation) {
+    const fieldErrors = validateObservation(observation)
+    if (fieldErrors) {
+      throw new TreeValidationError(fieldErrors)
+    }
+
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      const created = {
+        id: `observation-${Date.now()}`,
+        treeId,
+        observedAt: observation.observedAt || new Date().toISOString(),
+        status: observation.status,
+        notes: observation.notes || '',
+        image: observation.image || null,
+        observer: null
+      }
+      const history = [created, ...(mockObservations[treeId] || [])]
+        .sort((a, b) => new Date(b.observedAt) - new Date(a.observedAt))
+      mockObservations[treeId] = history
+      const tree = treesDatabase.find(t => t.id === treeId)
+      if (tree) tree.status = history[0].status
+      return { observation: created, treeStatus: history[0].status }
+    }
+
+    try {
+      const response = await apiClient.post(
+        `/trees/${treeId}/observations`,
+        toApiObservationRequest(observation)
+      )
+      return {
+        observation: fromApiObservation(response.data.observation),
+        treeStatus: response.data.treeStatus.toLowerCase()
+      }
+    } catch (error) {
+      console.error('Error adding observation:', error)
+      throw toRequestError(error, 'Failed to add observation')
+    }
+  }
+
+  /**
+   * Latest comments on a tree, oldest first
+   * @param {string} treeId - Tree identifier
+   * @returns {Promise<Array>} Comments in the app model shape
+   */
+  async getComments(treeId) {
+    try {
+      const response = await apiClient.get(`/trees/${treeId}/comments`)
+      return response.data.map(fromApiComment)
+    } catch (error) {
+      console.error('Error fetching comments:', error)
+      throw toRequestError(error, 'Failed to fetch comments')
+    }
+  }
+
+  /**
+   * Comment on a tree
+   * @param {string} treeId - Tree identifier
+   * @param {string} body - Comment text, up to 1000 characters
+   * @returns {Promise<Object>} The created comment
+   */
+  async addComment(treeId, body) {
+    try {
+      const response = await apiClient.post(`/trees/${treeId}/comments`, { body: body.trim() })
+      return fromApiComment(response.data)
+    } catch (error) {
+      console.error('Error adding comment:', error)
+      throw toRequestError(error, 'Failed to add comment')
+    }
+  }
+
+  /**
+   * Delete a comment (its author, the tree's planter or a moderator)
+   * @param {string} treeId - Tree identifier
+   * @param {string} commentId - Comment identifier
+   * @returns {Promise<void>}
+   */
+  async deleteComment(treeId, commentId) {
+    try {
+      await apiClient.delete(`/trees/${treeId}/comments/${commentId}`)
+    } catch (error) {
+      console.error('Error deleting comment:', error)
+      throw toRequestError(error, 'Failed to delete comment')
+    }
+  }
+
+  /**
+   * Whether the signed-in user likes a tree
+   * @param {string} treeId - Tree identifier
+   * @returns {Promise<Object>} { liked, likeCount }
+   */
+  async getLikeStatus(treeId) {
+    try {
+      const response = await apiClient.get(`/trees/${treeId}/like`)
+      return response.data
+    } catch (error) {
+      console.error('Error fetching like:', error)
+      throw toRequestError(error, 'Failed to fetch like')
+    }
+  }
+
+  /**
+   * Like a tree, or take the like back
+   * @param {string} treeId - Tree identifier
+   * @param {boolean} liked - Whether the tree should be liked
+   * @returns {Promise<Object>} { liked, likeCount }
+   */
+  async setLiked(treeId, liked) {
+    try {
+      const response = liked
+        ? await apiClient.put(`/trees/${treeId}/like`)
+        : await apiClient.delete(`/trees/${treeId}/like`)
+      return response.data
+    } catch (error) {
+      console.error('Error updating like:', error)
+      throw toRequestError(error, liked ? 'Failed to like tree' : 'Failed to unlike tree')
+    }
+  }
+
+  /**
+   * Delete a tree (owner only)
+   * @param {string} treeId - Tree identifier
+   * @returns {Promise<void>}
+   */
+  async deleteTree(treeId) {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      treesDatabase = treesDatabase.filter(t => t.id !== treeId)
+      return
+    }
+
+    try {
+      await apiClient.delete(`/trees/${treeId}`)
+    } catch (error) {
+      console.error('Error deleting tree:', error)
+      throw toRequestError(error, 'Failed to delete tree')
     }
   }
 
@@ -144,8 +616,7 @@ class TreeService {
    * @returns {Promise<Object>} Updated tree object
    */
   async updateTreeStatus(treeId, status) {
-    await simulateApiDelay()
-    return { status, updatedAt: new Date().toISOString() }
+    return this.updateTree(treeId, { status })
   }
 }
 
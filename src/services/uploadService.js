@@ -0,0 +1,44 @@
+/**
+ * Upload Service
+ *
+ * Service layer for sending image files to the backend upload endpoint.
+ * Returns the stored image URL so records reference files instead of
+ * embedding them as data URLs.
+ */
+
+import { apiClient } from '@/services/apiClient'
+
+// Large phone photos on slow connections need more than the default timeout
+const UPLOAD_TIMEOUT = 120000
+
+class UploadService {
+  /**
+   * Upload an image file
+   * @param {File} file - Image file to upload
+   * @param {Function} [onProgress] - Called with upload progress from 0 to 100
+   * @returns {Promise<Object>} Upload response with imageUrl and filename
+   */
+  async uploadImage(file, onProgress) {
+    const formData = new FormData()
+    formData.append('image', file)
+
+    try {
+      const response = await apiClient.post('/upload/image', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: UPLOAD_TIMEOUT,
+        onUploadProgress: (event) => {
+          if (onProgress && event.total) {
+            onProgress(Math.round((event.loaded / event.total) * 100))
+          }
+        }
+      })
+      return response.data
+    } catch (error) {
+      console.error('Error uploading image:', error)
+      throw new Error(error.response?.data?.error || 'Failed to upload image', { cause: error })
+    }
+  }
+}
+
+// Export singleton instance
+export const uploadService = new UploadService()
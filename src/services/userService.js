@@ -3,33 +3,21 @@
  *
  * Service layer for user-related operations including authentication,
  * profile management, and user data handling.
- * Now connected to real backend APIs!
+ * Profiles come from /api/users; `avatar` may be a server-relative
+ * /uploads path, so pass it through resolveMediaUrl before display.
  */
 
-import axios from 'axios'
+import {
+  apiClient,
+  getAccessToken,
+  getRefreshToken,
+  storeAuthTokens,
+  clearAuthTokens
+} from '@/services/apiClient'
 import mockUsers from '@/mocks/users.json'
 
 // Configuration
-const USE_MOCK_DATA = true // Temporarily using mock data while testing
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api'
-
-// Create axios instance with default config
-const apiClient = axios.create({
-  baseURL: API_URL,
-  timeout: 10000,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-})
-
-// Add auth token to requests if available
-apiClient.interceptors.request.use((config) => {
-  const token = localStorage.getItem('authToken')
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`
-  }
-  return config
-})
+const USE_MOCK_DATA = false
 
 // Simulated delay for mock API calls
 const MOCK_DELAY = 600
@@ -37,6 +25,9 @@ const MOCK_DELAY = 600
 // Helper function to simulate API delay
 const simulateApiDelay = () => new Promise(resolve => setTimeout(resolve, MOCK_DELAY))
 
+// Last profile read from the server, for starting up signed in while offline
+const CACHED_USER_KEY = 'currentUser'
+
 class UserService {
   /**
    * Authenticate user with email and password using backend API
@@ -63,10 +54,9 @@ class UserService {
     try {
       const response = await apiClient.post('/auth/login', { email, password })
       
-      // Store the JWT token
-      if (response.data.token) {
-        localStorage.setItem('authToken', response.data.token)
-      }
+      // Store the access and refresh tokens
+      storeAuthTokens(response.data)
+      this.cacheUser(response.data.user)
       
       return response.data
     } catch (error) {
@@ -104,10 +94,9 @@ class UserService {
     try {
       const response = await apiClient.post('/auth/register', userData)
       
-      // Store the JWT token
-      if (response.data.token) {
-        localStorage.setItem('authToken', response.data.token)
-      }
+      // Store the access and refresh tokens
+      storeAuthTokens(response.data)
+      this.cacheUser(response.data.user)
       
       return response.data
     } catch (error) {
@@ -117,8 +106,9 @@ class UserService {
   }
 
   /**
-   * Get all users (for displaying community members)
-   * @returns {Promise<Array>} Array of user objects
+   * Get community members, most trees first
+   * @returns {Promise<Array>} Public profiles { id, username, firstName, lastName, avatar, bio, treeCount,
+   *   followerCount, followingCount, badges, createdAt }
    */
   async getAllUsers() {
     if (USE_MOCK_DATA) {
@@ -137,7 +127,7 @@ class UserService {
 
   /**
    * Get current user profile from backend API
-   * @returns {Promise<Object>} Current user object
+   * @returns {Promise<Object>} Current user: the public profile plus email and isVerified
    */
   async getCurrentUser() {
     if (USE_MOCK_DATA) {
@@ -147,19 +137,112 @@ class UserService {
     }
     
     try {
-      const response = await apiClient.get('/auth/profile')
+      const response = await apiClient.get('/users/me')
+      this.cacheUser(response.data)
       return response.data
     } catch (error) {
       console.error('Error fetching user profile:', error)
-      throw new Error('Failed to fetch user profile')
+      throw new Error('Failed to fetch user profile', { cause: error })
+    }
+  }
+
+  /**
+   * Logout current user: end the session on the server, then forget the
+   * tokens. Signing out locally still works when the server is unreachable.
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    const refreshToken = getRefreshToken()
+    clearAuthTokens()
+    this.forgetCachedUser()
+
+    if (USE_MOCK_DATA || !refreshToken) return
+
+    try {
+      await apiClient.post('/auth/logout', { refreshToken })
+    } catch (error) {
+      console.warn('Failed to end the session on the server:', error)
+    }
+  }
+
+  /**
+   * Confirm an email address with the token from a verification link
+   * @param {string} token - Token from the link's query string
+   * @returns {Promise<void>}
+   */
+  async verifyEmail(token) {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      return
+    }
+
+    try {
+      await apiClient.post('/auth/verify-email', { token })
+    } catch (error) {
+      console.error('Error verifying email:', error)
+      throw new Error(error.response?.data?.error || 'Failed to verify email')
+    }
+  }
+
+  /**
+   * Send the current user a new verification link
+   * @returns {Promise<void>}
+   */
+  async resendVerification() {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      return
+    }
+
+    try {
+      await apiClient.post('/auth/resend-verification')
+    } catch (error) {
+      console.error('Error resending verification email:', error)
+      throw new Error(error.response?.data?.error || 'Failed to send verification email')
+    }
+  }
+
+  /**
+   * Email a password reset link. Succeeds whether or not the address
+   * belongs to an account.
+   * @param {string} email - Address the account was registered with
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email) {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      return
+    }
+
+    try {
+      await apiClient.post('/auth/forgot-password', { email })
+    } catch (error) {
+      console.error('Error requesting password reset:', error)
+      throw new Error(error.response?.data?.error || 'Failed to request password reset')
     }
   }
 
   /**
-   * Logout current user
+   * Set a new password with the token from a reset link. The server signs
+   * out every session, so the stored tokens are dropped too.
+   * @param {string} token - Token from the link's query string
+   * @param {string} password - New password
+   * @returns {Promise<void>}
    */
-  logout() {
-    localStorage.removeItem('authToken')
+  async resetPassword(token, password) {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      clearAuthTokens()
+      return
+    }
+
+    try {
+      await apiClient.post('/auth/reset-password', { token, password })
+      clearAuthTokens()
+    } catch (error) {
+      console.error('Error resetting password:', error)
+      throw new Error(error.response?.data?.error || 'Failed to reset password')
+    }
   }
 
   /**
@@ -167,7 +250,98 @@ class UserService {
    * @returns {boolean} Authentication status
    */
   isAuthenticated() {
-    return !!localStorage.getItem('authToken')
+    return !!(getAccessToken() || getRefreshToken())
+  }
+
+  /**
+   * The current user's profile as last read from the server
+   * @returns {Object|null} Cached profile, or null when there is none
+   */
+  getCachedUser() {
+    try {
+      return JSON.parse(localStorage.getItem(CACHED_USER_KEY))
+    } catch (error) {
+      // Unreadable entries are treated as missing
+      return null
+    }
+  }
+
+  /**
+   * Keep the current user's profile for offline start-ups
+   * @param {Object} user - Profile from the server
+   */
+  cacheUser(user) {
+    if (user) localStorage.setItem(CACHED_USER_KEY, JSON.stringify(user))
+  }
+
+  forgetCachedUser() {
+    localStorage.removeItem(CACHED_USER_KEY)
+  }
+
+  /**
+   * List the devices the current user is signed in on
+   * @returns {Promise<Array>} [{ id, userAgent, ipAddress, createdAt, lastUsedAt, expiresAt, current }]
+   */
+  async getSessions() {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      const now = new Date().toISOString()
+      return [{
+        id: 'session-current',
+        userAgent: navigator.userAgent,
+        ipAddress: null,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: now,
+        current: true
+      }]
+    }
+
+    try {
+      const response = await apiClient.get('/auth/sessions')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching sessions:', error)
+      throw new Error('Failed to fetch sessions')
+    }
+  }
+
+  /**
+   * Sign out one device
+   * @param {string} sessionId - Session identifier from getSessions
+   * @returns {Promise<void>}
+   */
+  async revokeSession(sessionId) {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      return
+    }
+
+    try {
+      await apiClient.delete(`/auth/sessions/${sessionId}`)
+    } catch (error) {
+      console.error('Error revoking session:', error)
+      throw new Error('Failed to sign out that device')
+    }
+  }
+
+  /**
+   * Sign out every device except this one
+   * @returns {Promise<number>} Number of sessions ended
+   */
+  async revokeOtherSessions() {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      return 0
+    }
+
+    try {
+      const response = await apiClient.delete('/auth/sessions')
+      return response.data.revoked
+    } catch (error) {
+      console.error('Error revoking sessions:', error)
+      throw new Error('Failed to sign out other devices')
+    }
   }
 
   /**
@@ -187,7 +361,7 @@ class UserService {
       location: userData.location || '',
       joinDate: new Date().toISOString().split('T')[0],
       treesPlanted: 0,
-      badges: ['newcomer'],
+      badges: [],
       isGuest: true
     }
     
@@ -195,18 +369,137 @@ class UserService {
   }
 
   /**
-   * Update user profile
+   * Update the current user's profile
+   * @param {Object} updates - Any of firstName, lastName and bio; empty strings clear a field
+   * @returns {Promise<Object>} Updated current user
+   */
+  async updateUserProfile(updates) {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      return {
+        ...updates,
+        updatedAt: new Date().toISOString()
+      }
+    }
+
+    try {
+      const response = await apiClient.patch('/users/me', updates)
+      return response.data
+    } catch (error) {
+      console.error('Error updating profile:', error)
+      throw new Error(error.response?.data?.error || 'Failed to update profile')
+    }
+  }
+
+  /**
+   * Replace the current user's avatar. The server crops it to a square.
+   * @param {File} file - Image file
+   * @returns {Promise<Object>} Updated current user
+   */
+  async uploadAvatar(file) {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      return { avatar: URL.createObjectURL(file) }
+    }
+
+    const formData = new FormData()
+    formData.append('image', file)
+
+    try {
+      const response = await apiClient.post('/users/me/avatar', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 30000
+      })
+      return response.data
+    } catch (error) {
+      console.error('Error uploading avatar:', error)
+      throw new Error(error.response?.data?.error || 'Failed to upload avatar')
+    }
+  }
+
+  /**
+   * Go back to the default avatar
+   * @returns {Promise<Object>} Updated current user
+   */
+  async removeAvatar() {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      return { avatar: null }
+    }
+
+    try {
+      const response = await apiClient.delete('/users/me/avatar')
+      return response.data
+    } catch (error) {
+      console.error('Error removing avatar:', error)
+      throw new Error(error.response?.data?.error || 'Failed to remove avatar')
+    }
+  }
+
+  /**
+   * Estimated benefits of all the trees a user pinned
    * @param {string} userId - User identifier
-   * @param {Object} updates - Profile updates
-   * @returns {Promise<Object>} Updated user data
+   * @returns {Promise<Object>} { treeCount, treesWithoutPlantingDate, co2SequesteredKg, co2PerYearKg,
+   *   stormwaterLitersPerYear, airPollutantsGramsPerYear, methodology }
    */
-  async updateUserProfile(userId, updates) {
-    await simulateApiDelay()
-    
-    // Return the updates as if they were saved
-    return {
-      ...updates,
-      updatedAt: new Date().toISOString()
+  async getUserBenefits(userId) {
+    try {
+      const response = await apiClient.get(`/users/${userId}/benefits`)
+      return response.data
+    } catch (error) {
+      console.error('Error fetching user benefits:', error)
+      throw new Error(error.response?.data?.error || 'Failed to estimate benefits')
+    }
+  }
+
+  /**
+   * Planters the current user follows, most recently followed first
+   * @returns {Promise<Array>} Public profiles
+   */
+  async getFollowing() {
+    try {
+      const response = await apiClient.get('/users/me/following')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching followed users:', error)
+      throw new Error(error.response?.data?.error || 'Failed to fetch followed users')
+    }
+  }
+
+  /**
+   * Follow a planter, or stop following them
+   * @param {string} userId - User identifier
+   * @param {boolean} following - Whether to follow them
+   * @returns {Promise<Object>} { following, followerCount }
+   */
+  async setFollowing(userId, following) {
+    try {
+      const response = following
+        ? await apiClient.put(`/users/${userId}/follow`)
+        : await apiClient.delete(`/users/${userId}/follow`)
+      return response.data
+    } catch (error) {
+      console.error('Error updating follow:', error)
+      throw new Error(error.response?.data?.error || (following ? 'Failed to follow user' : 'Failed to unfollow user'))
+    }
+  }
+
+  /**
+   * Every badge that can be earned, in display order
+   * @returns {Promise<Array>} Badges as { id, name, description, icon }
+   */
+  async getBadgeCatalog() {
+    if (USE_MOCK_DATA) {
+      await simulateApiDelay()
+      return []
+    }
+
+    try {
+      const response = await apiClient.get('/badges')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching badges:', error)
+      throw new Error('Failed to fetch badges')
     }
   }
 }
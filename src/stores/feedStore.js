@@ -0,0 +1,91 @@
+/**
+ * Feed Store
+ *
+ * Holds the current user's activity feed from /api/feed: what the planters
+ * they follow have pinned, observed and earned, newest first, a page at a
+ * time.
+ *
+ * State:
+ * @state {Array} events - Feed events loaded so far (see feedService)
+ * @state {String|null} nextCursor - Cursor of the next page, null on the last
+ * @state {Boolean} hasLoaded - Whether the first page has been loaded
+ * @state {Boolean} isLoading - Loading state
+ * @state {String|null} error - Error message if loading fails
+ *
+ * Actions:
+ * @action fetchFeed - Load the first page, replacing what was loaded
+ * @action loadMore - Append the next page
+ * @action clearFeed - Forget the feed, e.g. after signing out
+ */
+
+import { defineStore } from 'pinia'
+import { feedService } from '@/services/feedService'
+
+const FEED_PAGE_SIZE = 10
+
+// A feed reloaded meanwhile drops pages still in flight
+let latestRequest = 0
+
+export const useFeedStore = defineStore('feed', {
+  state: () => ({
+    events: [],
+    nextCursor: null,
+    hasLoaded: false,
+    isLoading: false,
+    error: null
+  }),
+
+  getters: {
+    hasMore: (state) => !!state.nextCursor
+  },
+
+  actions: {
+    async fetchFeed() {
+      const request = ++latestRequest
+      this.isLoading = true
+      this.error = null
+
+      try {
+        const page = await feedService.getFeed({ limit: FEED_PAGE_SIZE })
+        if (request !== latestRequest) return
+        this.events = page.events
+        this.nextCursor = page.nextCursor
+        this.hasLoaded = true
+      } catch (error) {
+        if (request === latestRequest) this.error = error.message
+        console.error('Error fetching feed:', error)
+      } finally {
+        if (request === latestRequest) this.isLoading = false
+      }
+    },
+
+    async loadMore() {
+      if (!this.nextCursor || this.isLoading) return
+
+      const request = ++latestRequest
+      this.isLoading = true
+      this.error = null
+
+      try {
+        const page = await feedService.getFeed({ cursor: this.nextCursor, limit: FEED_PAGE_SIZE })
+        if (request !== latestRequest) return
+        this.events = [...this.events, ...page.events]
+        this.nextCursor = page.nextCursor
+      } catch (error) {
+        if (request === latestRequest) this.error = error.message
+        console.error('Error loading more of the feed:', error)
+      } finally {
+        if (request === latestRequest) this.isLoading = false
+      }
+    },
+
+    clearFeed() {
+      latestRequest++
+      this.events = []
+      this.nextCursor = null
+      this.hasLoaded = false
+      this.isLoading = false
+      this.error = null
+    }
+  }
+})
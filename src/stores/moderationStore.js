@@ -0,0 +1,72 @@
+/**
+ * Moderation Store
+ *
+ * Manages the moderation queue for moderators and admins: trees other
+ * users reported, and trees moderators have hidden.
+ *
+ * State:
+ * @state {String} status - Queue shown: 'open' (reported) or 'hidden'
+ * @state {Array} queue - [{ tree, hiddenAt, reports, lastReportedAt }]
+ * @state {Array} actions - Latest moderator decisions, newest first
+ * @state {Boolean} isLoading - Loading state for the queue
+ * @state {String|null} error - Error message if loading fails
+ *
+ * Actions:
+ * @action fetchQueue - Load the queue for a status
+ * @action fetchActions - Load the moderation log
+ * @action moderateTree - Hide, restore or delete a tree with a reason
+ */
+
+import { defineStore } from 'pinia'
+import { moderationService } from '@/services/moderationService'
+import { useTreeStore } from '@/stores/treeStore'
+
+export const useModerationStore = defineStore('moderation', {
+  state: () => ({
+    status: 'open',
+    queue: [],
+    actions: [],
+    isLoading: false,
+    error: null
+  }),
+
+  actions: {
+    async fetchQueue(status = this.status) {
+      this.status = status
+      this.isLoading = true
+      this.error = null
+
+      try {
+        this.queue = await moderationService.getQueue(status)
+      } catch (error) {
+        this.error = error.message
+        console.error('Error fetching moderation queue:', error)
+      } finally {
+        this.isLoading = false
+      }
+    },
+
+    async fetchActions() {
+      try {
+        this.actions = await moderationService.getActions()
+      } catch (error) {
+        console.error('Error fetching moderation log:', error)
+      }
+    },
+
+    async moderateTree(treeId, action, reason) {
+      const logged = await moderationService.moderateTree(treeId, action, reason)
+
+      // Every action settles the tree's reports, so it leaves this queue
+      this.queue = this.queue.filter(entry => entry.tree.id !== treeId)
+      this.actions = [logged, ...this.actions]
+
+      // Hidden and deleted trees disappear from the map and list
+      if (action !== 'restore') {
+        useTreeStore().removeTreeLocally(treeId)
+      }
+
+      return logged
+    }
+  }
+})
@@ -0,0 +1,222 @@
+/**
+ * Offline Queue Store
+ *
+ * Tracks tree submissions captured without connectivity and syncs them once
+ * the device is back online. Items live in IndexedDB (offlineQueueService)
+ * so nothing is lost when the page is closed.
+ *
+ * Features:
+ * - Queue tree submissions, including the photo, while offline
+ * - Automatic sync on reconnect and app start
+ * - Exponential backoff between failed sync attempts
+ * - Manual retry and discard for submissions the server rejected
+ *
+ * State:
+ * @state {Array} items - Queued submissions (see offlineQueueService)
+ * @state {Boolean} isOnline - Browser connectivity status
+ * @state {Boolean} isSyncing - Whether a sync run is in progress
+ * @state {String|null} nextRetryAt - ISO time of the next automatic retry
+ *
+ * Actions:
+ * @action init - Load the queue and start listening for connectivity changes
+ * @action enqueue - Persist a submission for later
+ * @action sync - Try to send every pending submission
+ * @action retry - Mark a failed submission as pending and sync again
+ * @action discard - Drop a submission from the queue
+ */
+
+import { defineStore } from 'pinia'
+import { toRaw } from 'vue'
+import { offlineQueueService } from '@/services/offlineQueueService'
+import { treeService } from '@/services/treeService'
+import { uploadService } from '@/services/uploadService'
+import { isNetworkError } from '@/services/apiClient'
+import { useTreeStore } from '@/stores/treeStore'
+import { useUserStore } from '@/stores/userStore'
+
+const RETRY_BASE_DELAY = 5000
+const RETRY_MAX_DELAY = 5 * 60 * 1000
+
+let retryTimer = null
+let consecutiveFailures = 0
+
+export const useOfflineQueueStore = defineStore('offlineQueue', {
+  state: () => ({
+    items: [],
+    isOnline: typeof navigator === 'undefined' ? true : navigator.onLine,
+    isSyncing: false,
+    nextRetryAt: null
+  }),
+
+  getters: {
+    pendingCount: (state) => state.items.filter(item => item.status === 'pending').length,
+
+    failedCount: (state) => state.items.filter(item => item.status === 'failed').length,
+
+    hasItems: (state) => state.items.length > 0
+  },
+
+  actions: {
+    async init() {
+      if (!offlineQueueService.isSupported()) return
+
+      window.addEventListener('online', () => {
+        this.isOnline = true
+        this.sync()
+      })
+      window.addEventListener('offline', () => {
+        this.isOnline = false
+      })
+
+      try {
+        this.items = await offlineQueueService.getAll()
+      } catch (error) {
+        console.error('Error loading offline queue:', error)
+        return
+      }
+
+      if (this.isOnline) {
+        this.sync()
+      }
+    },
+
+    async enqueue({ clientId, treeData, imageFile, upload = null }) {
+      if (!offlineQueueService.isSupported()) {
+        throw new Error('Offline saving is not supported in this browser')
+      }
+
+      const item = {
+        clientId,
+        // Plain copy: reactive proxies cannot be stored in IndexedDB
+        treeData: JSON.parse(JSON.stringify(treeData)),
+        imageFile: upload ? null : imageFile || null,
+        upload,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        createdAt: new Date().toISOString()
+      }
+
+      await offlineQueueService.save(item)
+      this.items.push(item)
+      console.log('📥 Tree queued for sync:', treeData.name)
+
+      return item
+    },
+
+    async sync() {
+      if (this.isSyncing || !this.isOnline) return
+
+      this.isSyncing = true
+      clearTimeout(retryTimer)
+      this.nextRetryAt = null
+
+      let hitNetworkError = false
+      let synced = 0
+
+      try {
+        for (const item of this.items.filter(entry => entry.status === 'pending')) {
+          const result = await this.syncItem(item)
+          if (result === 'synced') synced++
+          if (result === 'network') {
+            hitNetworkError = true
+            break
+          }
+          // Signed out: keep everything pending until the user logs in again
+          if (result === 'unauthorized') break
+        }
+      } finally {
+        this.isSyncing = false
+      }
+
+      if (synced > 0) {
+        useUserStore().refreshBadges()
+      }
+
+      if (hitNetworkError) {
+        this.scheduleRetry()
+      } else {
+        consecutiveFailures = 0
+      }
+    },
+
+    async syncItem(item) {
+      item.attempts++
+
+      try {
+        // Keep the upload result so a failed tree request does not re-upload
+        if (item.imageFile && !item.upload) {
+          item.upload = await uploadService.uploadImage(item.imageFile)
+          item.imageFile = null
+          await offlineQueueService.save(toRaw(item))
+        }
+
+        const tree = await treeService.createTree({
+          ...item.treeData,
+          clientId: item.clientId,
+          // Nobody is around to decide whether a nearby tree is the same one;
+          // duplicates that slip through show up in the admin report
+          allowDuplicate: true,
+          image: {
+            ...item.treeData.image,
+            url: item.upload?.imageUrl,
+            variants: item.upload?.variants
+          }
+        })
+
+        await offlineQueueService.remove(item.clientId)
+        this.items = this.items.filter(entry => entry.clientId !== item.clientId)
+
+        const treeStore = useTreeStore()
+        if (!treeStore.trees.some(existing => existing.id === tree.id)) {
+          treeStore.trees.push(tree)
+        }
+        console.log('✅ Queued tree synced:', tree.name)
+
+        return 'synced'
+      } catch (error) {
+        item.lastError = error.message
+
+        if (isNetworkError(error)) {
+          await offlineQueueService.save(toRaw(item))
+          return 'network'
+        }
+
+        if (error.cause?.response?.status === 401) {
+          await offlineQueueService.save(toRaw(item))
+          return 'unauthorized'
+        }
+
+        // The server rejected it; retrying will not help until the user acts
+        item.status = 'failed'
+        await offlineQueueService.save(toRaw(item))
+        console.error('Queued tree rejected:', error)
+
+        return 'failed'
+      }
+    },
+
+    scheduleRetry() {
+      consecutiveFailures++
+      const delay = Math.min(RETRY_BASE_DELAY * 2 ** (consecutiveFailures - 1), RETRY_MAX_DELAY)
+
+      this.nextRetryAt = new Date(Date.now() + delay).toISOString()
+      retryTimer = setTimeout(() => this.sync(), delay)
+    },
+
+    async retry(clientId) {
+      const item = this.items.find(entry => entry.clientId === clientId)
+      if (!item) return
+
+      item.status = 'pending'
+      item.lastError = null
+      await offlineQueueService.save(toRaw(item))
+      await this.sync()
+    },
+
+    async discard(clientId) {
+      await offlineQueueService.remove(clientId)
+      this.items = this.items.filter(entry => entry.clientId !== clientId)
+    }
+  }
+})
@@ -0,0 +1,125 @@
+/**
+ * Reaction Store
+ *
+ * Comments and likes on trees. Like and comment counts live on the trees
+ * in treeStore; they change here before the server answers and are put
+ * back if it refuses.
+ *
+ * State:
+ * @state {Object} likedTrees - Whether the current user likes a tree, by tree id
+ * @state {Object} pendingLikes - Trees whose like is being saved, by tree id
+ *
+ * Actions:
+ * @action fetchComments - Load a tree's comments, oldest first
+ * @action addComment - Comment on a tree; the comment count goes up right away
+ * @action deleteComment - Delete a comment; the comment count goes down right away
+ * @action fetchLikeStatus - Load whether the current user likes a tree
+ * @action toggleLike - Like or unlike a tree, updating the count right away.
+ *   Ignored while the previous toggle of the same tree is being saved
+ */
+
+import { defineStore } from 'pinia'
+import { treeService } from '@/services/treeService'
+import { useTreeStore } from '@/stores/treeStore'
+
+// The loaded copy of a tree, for its current like and comment counts
+const findLoadedTree = (treeStore, treeId) => {
+  if (treeStore.selectedTree?.id === treeId) return treeStore.selectedTree
+  return treeStore.trees.find(tree => tree.id === treeId) ||
+    treeStore.list.trees.find(tree => tree.id === treeId) ||
+    null
+}
+
+export const useReactionStore = defineStore('reaction', {
+  state: () => ({
+    likedTrees: {},
+    pendingLikes: {}
+  }),
+
+  getters: {
+    isLiked: (state) => (treeId) => !!state.likedTrees[treeId],
+    isLikePending: (state) => (treeId) => !!state.pendingLikes[treeId]
+  },
+
+  actions: {
+    async fetchComments(treeId) {
+      try {
+        return await treeService.getComments(treeId)
+      } catch (error) {
+        console.error('Error fetching comments:', error)
+        throw error
+      }
+    },
+
+    async addComment(treeId, body) {
+      const treeStore = useTreeStore()
+      const commentCount = findLoadedTree(treeStore, treeId)?.commentCount ?? 0
+      treeStore.replaceTree(treeId, { commentCount: commentCount + 1 })
+
+      try {
+        return await treeService.addComment(treeId, body)
+      } catch (error) {
+        treeStore.replaceTree(treeId, { commentCount })
+        console.error('Error adding comment:', error)
+        throw error
+      }
+    },
+
+    async deleteComment(treeId, commentId) {
+      const treeStore = useTreeStore()
+      const commentCount = findLoadedTree(treeStore, treeId)?.commentCount ?? 0
+      treeStore.replaceTree(treeId, { commentCount: Math.max(0, commentCount - 1) })
+
+      try {
+        await treeService.deleteComment(treeId, commentId)
+      } catch (error) {
+        treeStore.replaceTree(treeId, { commentCount })
+        console.error('Error deleting comment:', error)
+        throw error
+      }
+    },
+
+    async fetchLikeStatus(treeId) {
+      try {
+        const { liked, likeCount } = await treeService.getLikeStatus(treeId)
+        // A toggle in flight knows better than a status read before it
+        if (!this.pendingLikes[treeId]) {
+          this.likedTrees[treeId] = liked
+          useTreeStore().replaceTree(treeId, { likeCount })
+        }
+        return liked
+      } catch (error) {
+        console.error('Error fetching like:', error)
+        throw error
+      }
+    },
+
+    async toggleLike(treeId) {
+      // Clicks while saving would count from the optimistic state and
+      // could leave it out of step with the server
+      if (this.pendingLikes[treeId]) return
+
+      const treeStore = useTreeStore()
+      const liked = !!this.likedTrees[treeId]
+      const likeCount = findLoadedTree(treeStore, treeId)?.likeCount ?? 0
+
+      this.pendingLikes[treeId] = true
+      this.likedTrees[treeId] = !liked
+      treeStore.replaceTree(treeId, { likeCount: Math.max(0, likeCount + (liked ? -1 : 1)) })
+
+      try {
+        // The server's count includes likes from others in the meantime
+        const result = await treeService.setLiked(treeId, !liked)
+        this.likedTrees[treeId] = result.liked
+        treeStore.replaceTree(treeId, { likeCount: result.likeCount })
+      } catch (error) {
+        this.likedTrees[treeId] = liked
+        treeStore.replaceTree(treeId, { likeCount })
+        console.error('Error updating like:', error)
+        throw error
+      } finally {
+        delete this.pendingLikes[treeId]
+      }
+    }
+  }
+})
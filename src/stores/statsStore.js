@@ -0,0 +1,52 @@
+/**
+ * Stats Store
+ *
+ * Holds the community statistics and leaderboards from /api/stats. They are
+ * computed on the server, so they stay correct however few trees the map
+ * has loaded.
+ *
+ * State:
+ * @state {Object|null} stats - Community statistics (see statsService)
+ * @state {Boolean} isLoading - Loading state
+ * @state {String|null} error - Error message if loading fails
+ *
+ * Actions:
+ * @action fetchStats - Load the statistics
+ */
+
+import { defineStore } from 'pinia'
+import { statsService } from '@/services/statsService'
+
+export const useStatsStore = defineStore('stats', {
+  state: () => ({
+    stats: null,
+    isLoading: false,
+    error: null
+  }),
+
+  getters: {
+    totals: (state) => state.stats?.totals || null,
+
+    treesPerMonth: (state) => state.stats?.treesPerMonth || [],
+
+    leaderboards: (state) => state.stats?.leaderboards || { allTime: [], thisMonth: [], bySpecies: [] },
+
+    benefits: (state) => state.stats?.benefits || null
+  },
+
+  actions: {
+    async fetchStats() {
+      this.isLoading = true
+      this.error = null
+
+      try {
+        this.stats = await statsService.getCommunityStats()
+      } catch (error) {
+        this.error = error.message
+        console.error('Error fetching community stats:', error)
+      } finally {
+        this.isLoading = false
+      }
+    }
+  }
+})
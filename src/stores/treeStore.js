@@ -6,28 +6,88 @@
  *
  * Features:
  * - Fetch all trees from API/mock data
+ * - Fetch only the trees inside the current map viewport
  * - Add new tree entries
- * - Filter trees by various criteria
+ * - Search, filter and sort trees on the server, with a paginated list
+ * - Edit and delete trees owned by the current user
  * - Handle tree status updates
- * - Manage tree upload workflow
+ * - Manage tree upload workflow (photo upload before the tree is saved)
+ * - Queue new trees for later sync when the device is offline
+ * - Pick up badges the server awards for new trees and observations
  *
  * State:
  * @state {Array} trees - Array of all tree objects
  * @state {Object|null} selectedTree - Currently selected tree for details
  * @state {Boolean} isLoading - Loading state for async operations
  * @state {String|null} error - Error message if any operation fails
- * @state {Object} filters - Current filter settings for tree display
+ * @state {Object} filters - Current filter settings, applied by the server to
+ *   both the map and the list (dateRange and createdRange are null or
+ *   { start, end } as YYYY-MM-DD planting / creation dates)
+ * @state {Object|null} viewportBounds - Bounds of the last viewport query
+ * @state {Object} list - Paginated search results: { trees, nextCursor, total,
+ *   sort, inViewport, isLoading, error }
+ * @state {Number|null} uploadProgress - Photo upload progress (0-100) while uploading
+ * @state {Array} recentTrees - Newest trees in the community, for the home page
  *
  * Actions:
  * @action fetchTrees - Fetch all trees from the service
+ * @action fetchTreesInBounds - Fetch the filtered trees inside a map viewport
+ * @action fetchTreeList - Load the first page of the list for the current filters
+ * @action loadMoreTrees - Append the next page of the list (infinite scroll)
+ * @action fetchRecentTrees - Load the newest trees, whatever the filters
+ * @action setListOptions - Change the list sort or viewport restriction and reload
+ * @action uploadTreeImage - Upload a tree photo and return its URL
+ * @action submitTree - Upload the photo and create the tree, or queue both offline
  * @action addTree - Add a new tree to the collection
+ * @action fetchTreeById - Load a single tree (from state or the service)
+ * @action updateTree - Save changes to an existing tree
+ * @action deleteTree - Remove a tree
+ * @action removeTreeLocally - Drop a tree removed elsewhere (e.g. by a moderator) from state
  * @action selectTree - Set the currently selected tree
  * @action updateTreeStatus - Update tree health status
+ * @action fetchObservations - Load a tree's observation history
+ * @action addObservation - Record an observation (with optional photo); updates the tree status
+ * @action fetchTreeBenefits - Load the estimated ecosystem benefits of a tree
  * @action setFilters - Update filter criteria
+ * @action exportTrees - Download the filtered trees as GeoJSON, CSV or KML
+ * @action importTrees - Validate (dry run) or import a CSV/GeoJSON tree inventory
  */
 
 import { defineStore } from 'pinia'
 import { treeService } from '@/services/treeService'
+import { uploadService } from '@/services/uploadService'
+import { isNetworkError } from '@/services/apiClient'
+import { downloadBlob } from '@/utils/download'
+import { validateTree, validateObservation, TreeValidationError } from '@/services/treeSchema'
+import { useOfflineQueueStore } from '@/stores/offlineQueueStore'
+import { useUserStore } from '@/stores/userStore'
+
+// Incremented per viewport query so slow responses for an old viewport
+// never overwrite the trees of the current one
+let latestViewportRequest = 0
+
+// Same guard for the paginated list: a new search drops pages still in flight
+let latestListRequest = 0
+
+const LIST_PAGE_SIZE = 20
+
+const createDefaultFilters = () => ({
+  search: '',
+  species: '',
+  status: '',
+  user: '',
+  tags: [],
+  dateRange: null,
+  createdRange: null
+})
+
+// Id sent with new trees so the server can deduplicate offline replays
+const generateClientId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+}
 
 export const useTreeStore = defineStore('tree', {
   state: () => ({
@@ -35,48 +95,23 @@ export const useTreeStore = defineStore('tree', {
     selectedTree: null,
     isLoading: false,
     error: null,
-    filters: {
-      species: '',
-      status: '',
-      user: '',
-      dateRange: null
-    }
+    filters: createDefaultFilters(),
+    viewportBounds: null,
+    list: {
+      trees: [],
+      nextCursor: null,
+      total: null,
+      sort: '-createdAt',
+      inViewport: true,
+      isLoading: false,
+      error: null
+    },
+    uploadProgress: null,
+    recentTrees: []
   }),
 
   getters: {
-    filteredTrees: (state) => {
-      let filtered = [...state.trees]
-
-      if (state.filters.species) {
-        filtered = filtered.filter(tree => 
-          tree.species.toLowerCase().includes(state.filters.species.toLowerCase())
-        )
-      }
-
-      if (state.filters.status) {
-        filtered = filtered.filter(tree => tree.status === state.filters.status)
-      }
-
-      if (state.filters.user) {
-        filtered = filtered.filter(tree => 
-          tree.user.name.toLowerCase().includes(state.filters.user.toLowerCase())
-        )
-      }
-
-      return filtered
-    },
-
-    treeCount: (state) => state.trees.length,
-
-    healthyTreesCount: (state) => 
-      state.trees.filter(tree => tree.status === 'healthy').length,
-
-    recentTrees: (state) => {
-      const sortedTrees = [...state.trees].sort((a, b) => 
-        new Date(b.createdAt) - new Date(a.createdAt)
-      )
-      return sortedTrees.slice(0, 5)
-    }
+    hasMoreTrees: (state) => !!state.list.nextCursor
   },
 
   actions: {
@@ -98,6 +133,151 @@ export const useTreeStore = defineStore('tree', {
       }
     },
 
+    async fetchTreesInBounds(bounds, options = {}) {
+      const requestId = ++latestViewportRequest
+      this.isLoading = true
+      this.error = null
+      this.viewportBounds = bounds
+
+      try {
+        const trees = await treeService.getTreesInBounds(bounds, { ...options, filters: this.filters })
+        if (requestId !== latestViewportRequest) return
+        this.trees = trees
+      } catch (error) {
+        if (requestId !== latestViewportRequest) return
+        this.error = 'Failed to fetch trees: ' + error.message
+        console.error('Error fetching trees in bounds:', error)
+      } finally {
+        if (requestId === latestViewportRequest) {
+          this.isLoading = false
+        }
+      }
+    },
+
+    async fetchTreeList() {
+      const requestId = ++latestListRequest
+      this.list.isLoading = true
+      this.list.error = null
+
+      try {
+        const { trees, nextCursor, total } = await treeService.searchTrees({
+          filters: this.filters,
+          sort: this.list.sort,
+          bounds: this.list.inViewport ? this.viewportBounds : null,
+          limit: LIST_PAGE_SIZE
+        })
+        if (requestId !== latestListRequest) return
+        this.list.trees = trees
+        this.list.nextCursor = nextCursor
+        this.list.total = total
+      } catch (error) {
+        if (requestId !== latestListRequest) return
+        this.list.error = 'Failed to search trees: ' + error.message
+        console.error('Error searching trees:', error)
+      } finally {
+        if (requestId === latestListRequest) {
+          this.list.isLoading = false
+        }
+      }
+    },
+
+    async loadMoreTrees() {
+      if (!this.list.nextCursor || this.list.isLoading) return
+
+      const requestId = ++latestListRequest
+      this.list.isLoading = true
+      this.list.error = null
+
+      try {
+        const { trees, nextCursor } = await treeService.searchTrees({
+          filters: this.filters,
+          sort: this.list.sort,
+          bounds: this.list.inViewport ? this.viewportBounds : null,
+          cursor: this.list.nextCursor,
+          limit: LIST_PAGE_SIZE
+        })
+        if (requestId !== latestListRequest) return
+        this.list.trees.push(...trees)
+        this.list.nextCursor = nextCursor
+      } catch (error) {
+        if (requestId !== latestListRequest) return
+        this.list.error = 'Failed to load more trees: ' + error.message
+        console.error('Error loading more trees:', error)
+      } finally {
+        if (requestId === latestListRequest) {
+          this.list.isLoading = false
+        }
+      }
+    },
+
+    async fetchRecentTrees(limit = 3) {
+      try {
+        const { trees } = await treeService.searchTrees({ sort: '-createdAt', limit })
+        this.recentTrees = trees
+      } catch (error) {
+        console.error('Error fetching recent trees:', error)
+      }
+    },
+
+    setListOptions({ sort, inViewport } = {}) {
+      if (sort !== undefined) this.list.sort = sort
+      if (inViewport !== undefined) this.list.inViewport = inViewport
+      return this.fetchTreeList()
+    },
+
+    async uploadTreeImage(file) {
+      this.uploadProgress = 0
+      this.error = null
+
+      try {
+        return await uploadService.uploadImage(file, (progress) => {
+          this.uploadProgress = progress
+        })
+      } catch (error) {
+        this.error = 'Failed to upload photo: ' + error.message
+        console.error('Error uploading tree photo:', error)
+        throw error
+      } finally {
+        this.uploadProgress = null
+      }
+    },
+
+    async submitTree({ treeData, imageFile }) {
+      // The photo is uploaded later when queued, so only check one was picked
+      const fieldErrors = validateTree({
+        ...treeData,
+        image: { ...treeData.image, url: imageFile ? imageFile.name : treeData.image?.url }
+      })
+      if (fieldErrors) {
+        throw new TreeValidationError(fieldErrors)
+      }
+
+      const clientId = generateClientId()
+      const offlineQueue = useOfflineQueueStore()
+
+      if (!offlineQueue.isOnline) {
+        await offlineQueue.enqueue({ clientId, treeData, imageFile })
+        return { queued: true, tree: null }
+      }
+
+      let upload = null
+      try {
+        upload = imageFile ? await this.uploadTreeImage(imageFile) : null
+        const tree = await this.addTree({
+          ...treeData,
+          clientId,
+          image: { ...treeData.image, url: upload?.imageUrl, variants: upload?.variants }
+        })
+        return { queued: false, tree }
+      } catch (error) {
+        if (!isNetworkError(error)) throw error
+
+        this.error = null
+        await offlineQueue.enqueue({ clientId, treeData, imageFile, upload })
+        return { queued: true, tree: null }
+      }
+    },
+
     async addTree(treeData) {
       this.isLoading = true
       this.error = null
@@ -105,6 +285,7 @@ export const useTreeStore = defineStore('tree', {
       try {
         const newTree = await treeService.createTree(treeData)
         this.trees.push(newTree)
+        useUserStore().refreshBadges()
         return newTree
       } catch (error) {
         this.error = 'Failed to add tree: ' + error.message
@@ -123,15 +304,66 @@ export const useTreeStore = defineStore('tree', {
       this.selectedTree = null
     },
 
+    async fetchTreeById(treeId) {
+      const cached = this.trees.find(tree => tree.id === treeId)
+      if (cached) return cached
+
+      try {
+        return await treeService.getTreeById(treeId)
+      } catch (error) {
+        this.error = 'Failed to fetch tree: ' + error.message
+        console.error('Error fetching tree:', error)
+        throw error
+      }
+    },
+
+    async updateTree(treeId, updates) {
+      this.isLoading = true
+      this.error = null
+
+      try {
+        const updatedTree = await treeService.updateTree(treeId, updates)
+        this.replaceTree(treeId, updatedTree)
+        useUserStore().refreshBadges()
+        return updatedTree
+      } catch (error) {
+        this.error = 'Failed to update tree: ' + error.message
+        console.error('Error updating tree:', error)
+        throw error
+      } finally {
+        this.isLoading = false
+      }
+    },
+
+    async deleteTree(treeId) {
+      this.isLoading = true
+      this.error = null
+
+      try {
+        await treeService.deleteTree(treeId)
+        this.removeTreeLocally(treeId)
+      } catch (error) {
+        this.error = 'Failed to delete tree: ' + error.message
+        console.error('Error deleting tree:', error)
+        throw error
+      } finally {
+        this.isLoading = false
+      }
+    },
+
+    removeTreeLocally(treeId) {
+      this.trees = this.trees.filter(tree => tree.id !== treeId)
+      this.list.trees = this.list.trees.filter(tree => tree.id !== treeId)
+      this.recentTrees = this.recentTrees.filter(tree => tree.id !== treeId)
+      if (this.selectedTree?.id === treeId) {
+        this.selectedTree = null
+      }
+    },
+
     async updateTreeStatus(treeId, status) {
       try {
         const updatedTree = await treeService.updateTreeStatus(treeId, status)
-        const index = this.trees.findIndex(tree => tree.id === treeId)
-        
-        if (index !== -1) {
-          this.trees[index] = { ...this.trees[index], ...updatedTree }
-        }
-        
+        this.replaceTree(treeId, updatedTree)
         return updatedTree
       } catch (error) {
         this.error = 'Failed to update tree status: ' + error.message
@@ -140,17 +372,106 @@ export const useTreeStore = defineStore('tree', {
       }
     },
 
+    async fetchObservations(treeId) {
+      try {
+        return await treeService.getObservations(treeId)
+      } catch (error) {
+        this.error = 'Failed to fetch observations: ' + error.message
+        console.error('Error fetching observations:', error)
+        throw error
+      }
+    },
+
+    async fetchTreeBenefits(treeId) {
+      try {
+        return await treeService.getTreeBenefits(treeId)
+      } catch (error) {
+        console.error('Error fetching tree benefits:', error)
+        throw error
+      }
+    },
+
+    async addObservation(treeId, { observation, imageFile }) {
+      this.error = null
+
+      // Check before spending time on the photo upload
+      const fieldErrors = validateObservation(observation)
+      if (fieldErrors) {
+        throw new TreeValidationError(fieldErrors)
+      }
+
+      try {
+        const upload = imageFile ? await this.uploadTreeImage(imageFile) : null
+        const result = await treeService.addObservation(treeId, {
+          ...observation,
+          image: upload ? { url: upload.imageUrl, variants: upload.variants } : null
+        })
+
+        // The latest observation decides the tree's current status
+        this.replaceTree(treeId, { status: result.treeStatus })
+        useUserStore().refreshBadges()
+        return result.observation
+      } catch (error) {
+        this.error = 'Failed to add observation: ' + error.message
+        console.error('Error adding observation:', error)
+        throw error
+      }
+    },
+
+    replaceTree(treeId, updatedTree) {
+      const index = this.trees.findIndex(tree => tree.id === treeId)
+
+      if (index !== -1) {
+        this.trees[index] = { ...this.trees[index], ...updatedTree }
+      }
+      const listIndex = this.list.trees.findIndex(tree => tree.id === treeId)
+      if (listIndex !== -1) {
+        this.list.trees[listIndex] = { ...this.list.trees[listIndex], ...updatedTree }
+      }
+      if (this.selectedTree?.id === treeId) {
+        this.selectedTree = { ...this.selectedTree, ...updatedTree }
+      }
+    },
+
+    async exportTrees(format, { inViewport = true } = {}) {
+      this.error = null
+
+      try {
+        const { blob, filename } = await treeService.exportTrees(
+          format,
+          this.filters,
+          inViewport ? this.viewportBounds : null
+        )
+        downloadBlob(blob, filename)
+      } catch (error) {
+        this.error = 'Failed to export trees: ' + error.message
+        console.error('Error exporting trees:', error)
+        throw error
+      }
+    },
+
+    async importTrees(file, { dryRun = true } = {}) {
+      this.error = null
+
+      try {
+        const report = await treeService.importTrees(file, { dryRun })
+        if (report.created > 0) {
+          useUserStore().refreshBadges()
+        }
+        return report
+      } catch (error) {
+        this.error = 'Failed to import trees: ' + error.message
+        console.error('Error importing trees:', error)
+        throw error
+      }
+    },
+
     setFilters(newFilters) {
       this.filters = { ...this.filters, ...newFilters }
     },
 
     clearFilters() {
-      this.filters = {
-        species: '',
-        status: '',
-        user: '',
-        dateRange: null
-      }
+      this.filters = createDefaultFilters()
     }
   }
 })
@@ -5,9 +5,13 @@
  * Handles user authentication workflow and profile management.
  *
  * Features:
- * - User authentication with JWT tokens
+ * - User authentication with short-lived access tokens, refreshed
+ *   transparently by apiClient
+ * - Session list: see and sign out the devices you are signed in on
+ * - Email verification and password reset through emailed links
  * - User profile management
  * - User statistics tracking
+ * - Badges earned on the server, with a notice for newly earned ones
  * - Authentication state management
  *
  * State:
@@ -16,17 +20,38 @@
  * @state {Boolean} isLoading - Loading state for auth operations
  * @state {String|null} error - Error message if auth fails
  * @state {Array} users - All users (for MVP mock data)
+ * @state {Array} sessions - Devices the current user is signed in on
+ * @state {Array} badgeCatalog - Every badge that can be earned
+ * @state {Array} newBadges - Badges earned since the user last looked at their profile
+ * @state {Object|null} benefits - Estimated ecosystem benefits of the current user's trees
+ * @state {Array} followingIds - Ids of the planters the current user follows
  *
  * Actions:
  * @action login - Authenticate user with backend API
  * @action register - Register new user with backend API
- * @action logout - Sign out current user
- * @action fetchUserProfile - Get user profile data
- * @action updateProfile - Update user profile information
+ * @action logout - Sign out current user and end the session on the server
+ * @action handleSessionExpired - Forget the user after the server ended the session
+ * @action fetchSessions - Load the devices the current user is signed in on
+ * @action revokeSession - Sign out one device
+ * @action revokeOtherSessions - Sign out every other device
+ * @action verifyEmail - Confirm an email address with a verification link token
+ * @action resendVerification - Email the current user a new verification link
+ * @action requestPasswordReset - Email a password reset link
+ * @action resetPassword - Set a new password with a reset link token; signs out everywhere
+ * @action updateProfile - Update the current user's name and bio
+ * @action uploadAvatar - Replace the current user's avatar with an image file
+ * @action removeAvatar - Go back to the default avatar
+ * @action fetchBadgeCatalog - Load every badge that can be earned
+ * @action refreshBadges - Re-read the current user's badges after an action that may earn one
+ * @action dismissNewBadges - Clear the newly earned badges notice
+ * @action fetchBenefits - Estimate the ecosystem benefits of the current user's trees
+ * @action fetchFollowing - Load which planters the current user follows
+ * @action toggleFollow - Follow or unfollow a planter, updating the list right away
  */
 
 import { defineStore } from 'pinia'
 import { userService } from '@/services/userService'
+import { isNetworkError } from '@/services/apiClient'
 
 export const useUserStore = defineStore('user', {
   state: () => ({
@@ -34,7 +59,12 @@ export const useUserStore = defineStore('user', {
     isAuthenticated: false,
     isLoading: false,
     error: null,
-    users: []
+    users: [],
+    sessions: [],
+    badgeCatalog: [],
+    newBadges: [],
+    benefits: null,
+    followingIds: []
   }),
 
   getters: {
@@ -59,15 +89,22 @@ export const useUserStore = defineStore('user', {
       return state.currentUser.username || state.currentUser.email || ''
     },
 
+    // Roles rank USER < MODERATOR < ADMIN; admins can moderate too
+    isModerator: (state) => ['MODERATOR', 'ADMIN'].includes(state.currentUser?.role),
+
+    isAdmin: (state) => state.currentUser?.role === 'ADMIN',
+
+    isFollowing: (state) => (userId) => state.followingIds.includes(userId),
+
     userStats: (state) => {
       if (!state.currentUser) return null
       
+      const joinDate = state.currentUser.createdAt || state.currentUser.joinDate
       return {
-        treesPlanted: state.currentUser.treesPlanted || 0,
+        treesPlanted: state.currentUser.treeCount ?? state.currentUser.treesPlanted ?? 0,
         badges: state.currentUser.badges || [],
-        joinDate: state.currentUser.joinDate,
-        memberSince: state.currentUser.joinDate ? 
-          new Date(state.currentUser.joinDate).getFullYear() : null
+        joinDate,
+        memberSince: joinDate ? new Date(joinDate).getFullYear() : null
       }
     }
   },
@@ -99,6 +136,9 @@ export const useUserStore = defineStore('user', {
         // Response should contain user data and token
         this.currentUser = response.user || response
         this.isAuthenticated = true
+
+        // For the follow buttons; not worth holding up the sign-in
+        this.fetchFollowing()
         
         console.log('✅ Login successful:', this.currentUser)
         
@@ -144,24 +184,101 @@ export const useUserStore = defineStore('user', {
           const user = await userService.getCurrentUser()
           this.currentUser = user
           this.isAuthenticated = true
+          this.fetchFollowing()
         } catch (error) {
-          // Token might be expired, clear it
-          this.logout()
+          if (isNetworkError(error)) {
+            // Offline: keep the tokens so trees queued meanwhile can be sent
+            // later. Show the profile from the last time we were online;
+            // without one, stay signed out until the server answers
+            const cachedUser = userService.getCachedUser()
+            if (cachedUser) {
+              this.currentUser = cachedUser
+              this.isAuthenticated = true
+            }
+          } else {
+            // Token might be expired, clear it
+            this.logout()
+          }
         } finally {
           this.isLoading = false
         }
       }
     },
 
-    logout() {
+    async logout() {
+      this.handleSessionExpired()
+
+      // Revoke the refresh token and clear the stored tokens
+      await userService.logout()
+      
+      console.log('🚪 User logged out')
+    },
+
+    handleSessionExpired() {
+      userService.forgetCachedUser()
       this.currentUser = null
       this.isAuthenticated = false
       this.error = null
-      
-      // Clear auth token from userService
-      userService.logout()
-      
-      console.log('🚪 User logged out')
+      this.sessions = []
+      this.newBadges = []
+      this.benefits = null
+      this.followingIds = []
+    },
+
+    async fetchSessions() {
+      this.error = null
+
+      try {
+        this.sessions = await userService.getSessions()
+        return this.sessions
+      } catch (error) {
+        this.error = 'Failed to fetch sessions: ' + error.message
+        console.error('Error fetching sessions:', error)
+        throw error
+      }
+    },
+
+    async revokeSession(sessionId) {
+      const session = this.sessions.find(entry => entry.id === sessionId)
+
+      // Ending the current session is the same as logging out
+      if (session?.current) {
+        await this.logout()
+        return
+      }
+
+      await userService.revokeSession(sessionId)
+      this.sessions = this.sessions.filter(entry => entry.id !== sessionId)
+    },
+
+    async revokeOtherSessions() {
+      const revoked = await userService.revokeOtherSessions()
+      this.sessions = this.sessions.filter(entry => entry.current)
+      return revoked
+    },
+
+    async verifyEmail(token) {
+      await userService.verifyEmail(token)
+
+      // The link may have been opened in the signed-in browser
+      if (this.currentUser) {
+        this.currentUser = { ...this.currentUser, isVerified: true }
+      }
+    },
+
+    async resendVerification() {
+      await userService.resendVerification()
+    },
+
+    async requestPasswordReset(email) {
+      await userService.requestPasswordReset(email)
+    },
+
+    async resetPassword(token, password) {
+      await userService.resetPassword(token, password)
+
+      // Every session ended on the server, this one included
+      this.handleSessionExpired()
     },
 
     async restoreAuthState() {
@@ -178,10 +295,7 @@ export const useUserStore = defineStore('user', {
       this.error = null
 
       try {
-        const updatedUser = await userService.updateUserProfile(
-          this.currentUser.id, 
-          updates
-        )
+        const updatedUser = await userService.updateUserProfile(updates)
         
         this.currentUser = { ...this.currentUser, ...updatedUser }
         
@@ -193,6 +307,100 @@ export const useUserStore = defineStore('user', {
       } finally {
         this.isLoading = false
       }
+    },
+
+    async uploadAvatar(file) {
+      if (!this.currentUser) {
+        throw new Error('No user logged in')
+      }
+
+      const updatedUser = await userService.uploadAvatar(file)
+      this.currentUser = { ...this.currentUser, ...updatedUser }
+      return this.currentUser
+    },
+
+    async removeAvatar() {
+      if (!this.currentUser) {
+        throw new Error('No user logged in')
+      }
+
+      const updatedUser = await userService.removeAvatar()
+      this.currentUser = { ...this.currentUser, ...updatedUser }
+      return this.currentUser
+    },
+
+    async fetchBadgeCatalog() {
+      if (this.badgeCatalog.length) return this.badgeCatalog
+
+      try {
+        this.badgeCatalog = await userService.getBadgeCatalog()
+      } catch (error) {
+        console.error('Error fetching badges:', error)
+      }
+      return this.badgeCatalog
+    },
+
+    // Badges are awarded by the server while it saves trees and observations
+    async refreshBadges() {
+      if (!this.currentUser) return
+
+      try {
+        const user = await userService.getCurrentUser()
+        const held = new Set((this.currentUser.badges || []).map(badge => badge.id))
+        const earned = (user.badges || []).filter(badge => !held.has(badge.id))
+
+        this.currentUser = { ...this.currentUser, ...user }
+        this.newBadges = [...this.newBadges, ...earned]
+      } catch (error) {
+        // Picked up on the next refresh
+        console.error('Error refreshing badges:', error)
+      }
+    },
+
+    dismissNewBadges() {
+      this.newBadges = []
+    },
+
+    async fetchBenefits() {
+      if (!this.currentUser) return null
+
+      try {
+        this.benefits = await userService.getUserBenefits(this.currentUser.id)
+      } catch (error) {
+        console.error('Error fetching benefits:', error)
+      }
+      return this.benefits
+    },
+
+    async fetchFollowing() {
+      if (!this.currentUser) return []
+
+      try {
+        const users = await userService.getFollowing()
+        this.followingIds = users.map(user => user.id)
+      } catch (error) {
+        console.error('Error fetching followed users:', error)
+      }
+      return this.followingIds
+    },
+
+    async toggleFollow(userId) {
+      const previousIds = this.followingIds
+      const following = !previousIds.includes(userId)
+
+      this.followingIds = following
+        ? [...previousIds, userId]
+        : previousIds.filter(id => id !== userId)
+
+      try {
+        await userService.setFollowing(userId, following)
+        const followingCount = (this.currentUser.followingCount || 0) + (following ? 1 : -1)
+        this.currentUser = { ...this.currentUser, followingCount: Math.max(0, followingCount) }
+      } catch (error) {
+        this.followingIds = previousIds
+        throw error
+      }
+      return following
     }
   }
 })
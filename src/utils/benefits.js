@@ -0,0 +1,33 @@
+/**
+ * Benefit Formatting Helpers
+ *
+ * Readable units for the ecosystem benefit estimates from the API, which
+ * come in kilograms, liters and grams.
+ */
+
+const formatNumber = (value, maximumFractionDigits = 0) =>
+  value.toLocaleString(undefined, { maximumFractionDigits })
+
+/**
+ * @param {number} kg - Mass in kilograms
+ * @returns {string} e.g. "850 kg" or "12.4 t"
+ */
+export const formatMass = (kg) => kg >= 1000
+  ? `${formatNumber(kg / 1000, 1)} t`
+  : `${formatNumber(kg, kg < 10 ? 1 : 0)} kg`
+
+/**
+ * @param {number} liters - Volume in liters
+ * @returns {string} e.g. "900 L" or "14.4 m³"
+ */
+export const formatVolume = (liters) => liters >= 1000
+  ? `${formatNumber(liters / 1000, 1)} m³`
+  : `${formatNumber(liters)} L`
+
+/**
+ * @param {number} grams - Mass in grams
+ * @returns {string} e.g. "480 g" or "2.1 kg"
+ */
+export const formatGrams = (grams) => grams >= 1000
+  ? `${formatNumber(grams / 1000, 1)} kg`
+  : `${formatNumber(grams)} g`
@@ -0,0 +1,24 @@
+/**
+ * Download Helpers
+ *
+ * Save data produced in the browser (e.g. API exports) as a file.
+ */
+
+/**
+ * Trigger a browser download for a Blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+
+  // Give the browser a moment to start the download before releasing it
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
@@ -0,0 +1,390 @@
+/**
+ * EXIF Parser
+ *
+ * Reads the photo metadata Pin-a-Tree uses (camera, capture time,
+ * orientation and GPS position) from JPEG, PNG, WebP and HEIC/AVIF files.
+ * Each container stores the same TIFF-structured EXIF block in a different
+ * place; it is located first and then read with a small IFD reader.
+ *
+ * Pure functions over an ArrayBuffer, so this runs in the EXIF Web Worker
+ * (see src/workers/exifWorker.js) as well as on the main thread.
+ */
+
+// Tags read from each IFD
+const IFD0_TAGS = {
+  0x010F: 'Make',
+  0x0110: 'Model',
+  0x0112: 'Orientation',
+  0x0132: 'DateTime',
+  0x8769: 'ExifIFDPointer',
+  0x8825: 'GPSIFDPointer'
+}
+
+const EXIF_TAGS = {
+  0x9003: 'DateTimeOriginal',
+  0x9004: 'DateTimeDigitized',
+  0x9011: 'OffsetTimeOriginal'
+}
+
+const GPS_TAGS = {
+  0x0001: 'GPSLatitudeRef',
+  0x0002: 'GPSLatitude',
+  0x0003: 'GPSLongitudeRef',
+  0x0004: 'GPSLongitude',
+  0x0005: 'GPSAltitudeRef',
+  0x0006: 'GPSAltitude',
+  0x0007: 'GPSTimeStamp',
+  0x000B: 'GPSDOP',
+  0x0010: 'GPSImgDirectionRef',
+  0x0011: 'GPSImgDirection',
+  0x001D: 'GPSDateStamp',
+  0x001F: 'GPSHPositioningError'
+}
+
+// Bytes per value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 }
+
+const ascii = (view, offset, length) => {
+  let text = ''
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i))
+  }
+  return text
+}
+
+// ============================================================================
+// CONTAINERS
+// ============================================================================
+
+/**
+ * JPEG: APP1 segment starting with "Exif\0\0"
+ */
+const findJpegExif = (view) => {
+  let offset = 2
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset)
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break // not a marker, or start of scan
+
+    const length = view.getUint16(offset + 2)
+    if (marker === 0xFFE1 && ascii(view, offset + 4, 6) === 'Exif\0\0') {
+      return offset + 10
+    }
+    offset += 2 + length
+  }
+  return null
+}
+
+/**
+ * PNG: eXIf chunk holding the TIFF block directly
+ */
+const findPngExif = (view) => {
+  let offset = 8
+  while (offset + 8 <= view.byteLength) {
+    const length = view.getUint32(offset)
+    const type = ascii(view, offset + 4, 4)
+    if (type === 'eXIf') return offset + 8
+    if (type === 'IDAT' || type === 'IEND') break // metadata comes before the image data
+    offset += 12 + length
+  }
+  return null
+}
+
+/**
+ * WebP: EXIF chunk in the RIFF container (some encoders keep the "Exif\0\0" prefix)
+ */
+const findWebpExif = (view) => {
+  let offset = 12
+  while (offset + 8 <= view.byteLength) {
+    const type = ascii(view, offset, 4)
+    const length = view.getUint32(offset + 4, true)
+    if (type === 'EXIF') {
+      const start = offset + 8
+      return ascii(view, start, 6) === 'Exif\0\0' ? start + 6 : start
+    }
+    offset += 8 + length + (length % 2)
+  }
+  return null
+}
+
+// ISO base media boxes (HEIC/AVIF): [{ type, start, end }] within a range
+const readBoxes = (view, start, end) => {
+  const boxes = []
+  let offset = start
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset)
+    const type = ascii(view, offset + 4, 4)
+    let header = 8
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8))
+      header = 16
+    } else if (size === 0) {
+      size = end - offset
+    }
+    if (size < header) break
+    boxes.push({ type, start: offset + header, end: Math.min(offset + size, end) })
+    offset += size
+  }
+  return boxes
+}
+
+const readUint = (view, offset, size) => {
+  if (size === 0) return 0
+  if (size === 2) return view.getUint16(offset)
+  if (size === 4) return view.getUint32(offset)
+  return Number(view.getBigUint64(offset))
+}
+
+/**
+ * HEIC/AVIF: the "Exif" item listed in meta/iinf, located through meta/iloc.
+ * The item starts with the offset of the TIFF header inside it.
+ */
+const findHeifExif = (view) => {
+  const meta = readBoxes(view, 0, view.byteLength).find(box => box.type === 'meta')
+  if (!meta) return null
+
+  // meta is a full box: skip version and flags
+  const children = readBoxes(view, meta.start + 4, meta.end)
+  const iinf = children.find(box => box.type === 'iinf')
+  const iloc = children.find(box => box.type === 'iloc')
+  if (!iinf || !iloc) return null
+
+  // Item id of the EXIF block
+  const iinfVersion = view.getUint8(iinf.start)
+  const entriesStart = iinf.start + 4 + (iinfVersion === 0 ? 2 : 4)
+  let exifItemId = null
+  for (const infe of readBoxes(view, entriesStart, iinf.end)) {
+    const version = view.getUint8(infe.start)
+    if (infe.type !== 'infe' || version < 2) continue
+    const itemId = version === 2 ? view.getUint16(infe.start + 4) : view.getUint32(infe.start + 4)
+    const typeOffset = infe.start + 4 + (version === 2 ? 2 : 4) + 2
+    if (ascii(view, typeOffset, 4) === 'Exif') {
+      exifItemId = itemId
+      break
+    }
+  }
+  if (exifItemId === null) return null
+
+  // Its first extent in the file
+  const version = view.getUint8(iloc.start)
+  let offset = iloc.start + 4
+  const sizes = view.getUint16(offset)
+  const offsetSize = sizes >> 12
+  const lengthSize = (sizes >> 8) & 0x0F
+  const baseOffsetSize = (sizes >> 4) & 0x0F
+  const indexSize = version === 1 || version === 2 ? sizes & 0x0F : 0
+  offset += 2
+
+  const itemCount = version < 2 ? view.getUint16(offset) : view.getUint32(offset)
+  offset += version < 2 ? 2 : 4
+
+  for (let i = 0; i < itemCount; i++) {
+    const itemId = version < 2 ? view.getUint16(offset) : view.getUint32(offset)
+    offset += version < 2 ? 2 : 4
+    if (version === 1 || version === 2) offset += 2 // construction method
+    offset += 2 // data reference index
+    const baseOffset = readUint(view, offset, baseOffsetSize)
+    offset += baseOffsetSize
+    const extentCount = view.getUint16(offset)
+    offset += 2
+
+    if (itemId === exifItemId && extentCount > 0) {
+      const extentOffset = readUint(view, offset + indexSize, offsetSize)
+      const itemStart = baseOffset + extentOffset
+      return itemStart + 4 + view.getUint32(itemStart)
+    }
+    offset += extentCount * (indexSize + offsetSize + lengthSize)
+  }
+  return null
+}
+
+/**
+ * Detect the container and return the offset of its TIFF header
+ * @param {DataView} view - Whole file
+ * @returns {{ format: string, tiffOffset: number|null }}
+ */
+const locateExif = (view) => {
+  if (view.byteLength < 12) return { format: 'unknown', tiffOffset: null }
+
+  if (view.getUint16(0) === 0xFFD8) {
+    return { format: 'jpeg', tiffOffset: findJpegExif(view) }
+  }
+  if (view.getUint32(0) === 0x89504E47) {
+    return { format: 'png', tiffOffset: findPngExif(view) }
+  }
+  if (ascii(view, 0, 4) === 'RIFF' && ascii(view, 8, 4) === 'WEBP') {
+    return { format: 'webp', tiffOffset: findWebpExif(view) }
+  }
+  if (ascii(view, 4, 4) === 'ftyp') {
+    const brand = ascii(view, 8, 4)
+    return { format: brand.startsWith('avi') ? 'avif' : 'heic', tiffOffset: findHeifExif(view) }
+  }
+  return { format: 'unknown', tiffOffset: null }
+}
+
+// ============================================================================
+// TIFF / IFD
+// ============================================================================
+
+const readValue = (view, type, count, valueOffset, little) => {
+  const read = (index) => {
+    const offset = valueOffset + index * TYPE_SIZES[type]
+    switch (type) {
+      case 1:
+      case 7: return view.getUint8(offset)
+      case 3: return view.getUint16(offset, little)
+      case 4: return view.getUint32(offset, little)
+      case 9: return view.getInt32(offset, little)
+      case 5: {
+        const denominator = view.getUint32(offset + 4, little)
+        return denominator ? view.getUint32(offset, little) / denominator : null
+      }
+      case 10: {
+        const denominator = view.getInt32(offset + 4, little)
+        return denominator ? view.getInt32(offset, little) / denominator : null
+      }
+      default: return null
+    }
+  }
+
+  if (type === 2) {
+    return ascii(view, valueOffset, count).replace(/\0+$/, '').trim() || null
+  }
+  if (count === 1) return read(0)
+  return Array.from({ length: count }, (_, index) => read(index))
+}
+
+const readIfd = (view, tiff, ifdOffset, tagNames, little) => {
+  const values = {}
+  const start = tiff + ifdOffset
+  if (start + 2 > view.byteLength) return values
+
+  const entryCount = view.getUint16(start, little)
+  for (let i = 0; i < entryCount; i++) {
+    const entry = start + 2 + i * 12
+    if (entry + 12 > view.byteLength) break
+
+    const name = tagNames[view.getUint16(entry, little)]
+    const type = view.getUint16(entry + 2, little)
+    const count = view.getUint32(entry + 4, little)
+    if (!name || !TYPE_SIZES[type]) continue
+
+    // Values up to 4 bytes are stored in the entry itself
+    const size = TYPE_SIZES[type] * count
+    const valueOffset = size <= 4 ? entry + 8 : tiff + view.getUint32(entry + 8, little)
+    if (valueOffset + size > view.byteLength) continue
+
+    values[name] = readValue(view, type, count, valueOffset, little)
+  }
+  return values
+}
+
+const readTiff = (view, tiff) => {
+  const byteOrder = ascii(view, tiff, 2)
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return null
+  const little = byteOrder === 'II'
+  if (view.getUint16(tiff + 2, little) !== 0x002A) return null
+
+  const ifd0 = readIfd(view, tiff, view.getUint32(tiff + 4, little), IFD0_TAGS, little)
+  const exif = ifd0.ExifIFDPointer ? readIfd(view, tiff, ifd0.ExifIFDPointer, EXIF_TAGS, little) : {}
+  const gps = ifd0.GPSIFDPointer ? readIfd(view, tiff, ifd0.GPSIFDPointer, GPS_TAGS, little) : {}
+
+  return { ...ifd0, ...exif, ...gps }
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * EXIF date ("2023:04:15 10:22:01") to ISO 8601. EXIF times are local to the
+ * camera; the offset is only known when the camera recorded it.
+ */
+const toIsoDateTime = (value, offset = null) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '')
+  if (!match || match[1] === '0000') return null
+
+  const [, year, month, day, hour, minute, second] = match
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : ''
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`
+}
+
+// GPS date and time are always UTC
+const toGpsTimestamp = (dateStamp, timeStamp) => {
+  const date = /^(\d{4}):(\d{2}):(\d{2})$/.exec(dateStamp || '')
+  if (!date || !Array.isArray(timeStamp)) return null
+
+  const [hours, minutes, seconds] = timeStamp
+  const time = new Date(Date.UTC(+date[1], +date[2] - 1, +date[3], hours, minutes, Math.floor(seconds)))
+  return Number.isNaN(time.getTime()) ? null : time.toISOString()
+}
+
+const toDecimalDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3 || dms.some(part => part === null)) return null
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600
+  return ref === 'S' || ref === 'W' ? -degrees : degrees
+}
+
+const toGps = (tags) => {
+  const latitude = toDecimalDegrees(tags.GPSLatitude, tags.GPSLatitudeRef)
+  const longitude = toDecimalDegrees(tags.GPSLongitude, tags.GPSLongitudeRef)
+
+  // Cameras without a fix sometimes write 0,0
+  if (latitude === null || longitude === null || (latitude === 0 && longitude === 0)) return null
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null
+
+  const altitude = typeof tags.GPSAltitude === 'number'
+    ? (tags.GPSAltitudeRef === 1 ? -tags.GPSAltitude : tags.GPSAltitude)
+    : null
+
+  return {
+    latitude,
+    longitude,
+    altitude,
+    // Horizontal error in meters, when the device reported one
+    accuracy: typeof tags.GPSHPositioningError === 'number' ? tags.GPSHPositioningError : null,
+    dop: typeof tags.GPSDOP === 'number' ? tags.GPSDOP : null,
+    // Compass direction the camera faced, in degrees
+    direction: typeof tags.GPSImgDirection === 'number' ? tags.GPSImgDirection : null,
+    directionRef: tags.GPSImgDirectionRef === 'M' ? 'magnetic' : tags.GPSImgDirectionRef === 'T' ? 'true' : null,
+    timestamp: toGpsTimestamp(tags.GPSDateStamp, tags.GPSTimeStamp)
+  }
+}
+
+/**
+ * Read photo metadata from an image file's bytes
+ * @param {ArrayBuffer} buffer - Whole image file
+ * @returns {Object} { format, make, model, capturedAt, modifiedAt,
+ *   orientation, gps } - gps is null without a usable position, other
+ *   fields are null when missing; orientation defaults to 1 (upright)
+ */
+export const parseImageMetadata = (buffer) => {
+  const view = new DataView(buffer)
+  let format = 'unknown'
+  let tags = null
+
+  try {
+    const located = locateExif(view)
+    format = located.format
+    if (located.tiffOffset !== null && located.tiffOffset < view.byteLength) {
+      tags = readTiff(view, located.tiffOffset)
+    }
+  } catch (error) {
+    // Truncated or malformed file: treat as no metadata rather than failing
+    tags = null
+  }
+  tags = tags || {}
+
+  const orientation = Number.isInteger(tags.Orientation) && tags.Orientation >= 1 && tags.Orientation <= 8
+    ? tags.Orientation
+    : 1
+
+  return {
+    format,
+    make: tags.Make ?? null,
+    model: tags.Model ?? null,
+    capturedAt: toIsoDateTime(tags.DateTimeOriginal || tags.DateTimeDigitized, tags.OffsetTimeOriginal),
+    modifiedAt: toIsoDateTime(tags.DateTime),
+    orientation,
+    gps: toGps(tags)
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Geo Helpers
+ *
+ * Distance math for points in the { latitude, longitude } shape used by
+ * tree locations. Mirrors backend/src/utils/geo.ts.
+ */
+
+const EARTH_RADIUS_METERS = 6371000
+
+const toRadians = (degrees) => degrees * Math.PI / 180
+
+/**
+ * Great-circle (haversine) distance between two points
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+export const distanceInMeters = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude)
+  const dLng = toRadians(b.longitude - a.longitude)
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+/**
+ * Format a distance for display ("85 m", "1.2 km")
+ * @param {number} meters - Distance in meters
+ * @returns {string} Rounded distance with unit
+ */
+export const formatDistance = (meters) => {
+  if (meters < 1000) return `${Math.round(meters)} m`
+  return `${(meters / 1000).toFixed(meters < 10000 ? 1 : 0)} km`
+}
+
+/**
+ * Whether a point is the 0,0 "null island" that empty forms and broken
+ * GPS fixes produce
+ * @param {Object|null} point - { latitude, longitude }
+ * @returns {boolean}
+ */
+export const isNullIsland = (point) => point?.latitude === 0 && point?.longitude === 0
@@ -0,0 +1,77 @@
+/**
+ * Responsive Image Helpers
+ *
+ * Build src/srcset values from the image derivatives returned by the upload
+ * API ({ thumbnail, card, full }, each with width and jpeg/webp URLs).
+ * Images without derivatives fall back to their single URL.
+ */
+
+import { resolveMediaUrl } from '@/services/apiClient'
+
+const SIZE_ORDER = ['thumbnail', 'card', 'full']
+
+/**
+ * Build a srcset string for one format
+ * @param {Object} variants - Image derivatives keyed by size
+ * @param {string} format - 'jpeg' or 'webp'
+ * @returns {string} srcset value, empty when there are no derivatives
+ */
+const buildSrcset = (variants, format) => {
+  return SIZE_ORDER
+    .filter(size => variants[size]?.[format])
+    .map(size => `${resolveMediaUrl(variants[size][format])} ${variants[size].width}w`)
+    .join(', ')
+}
+
+/**
+ * Resolve the sources for an image at a preferred size
+ * @param {Object|null} image - Tree image ({ url, alt, variants })
+ * @param {string} size - Preferred derivative for the fallback src
+ * @param {string} fallbackUrl - URL to use when there is no image
+ * @returns {Object} { src, srcset, webpSrcset }
+ */
+export const getImageSources = (image, size, fallbackUrl) => {
+  const variants = image?.variants
+
+  if (!variants) {
+    return {
+      src: resolveMediaUrl(image?.url) || fallbackUrl,
+      srcset: '',
+      webpSrcset: ''
+    }
+  }
+
+  const preferred = variants[size] || variants.full
+  return {
+    src: resolveMediaUrl(preferred.jpeg),
+    srcset: buildSrcset(variants, 'jpeg'),
+    webpSrcset: buildSrcset(variants, 'webp')
+  }
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}
+
+// Alt text and image URLs come from users, so every attribute value is escaped
+const escapeAttribute = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+
+/**
+ * Render a <picture> element as an HTML string, for Leaflet popups
+ * @param {Object|null} image - Tree image ({ url, alt, variants })
+ * @param {Object} options - { size, sizes, alt, fallbackUrl, style }
+ * @returns {string} HTML markup
+ */
+export const renderPictureHtml = (image, { size, sizes, alt, fallbackUrl, style = '' }) => {
+  const { src, srcset, webpSrcset } = getImageSources(image, size, fallbackUrl)
+  const webpSource = webpSrcset
+    ? `<source type="image/webp" srcset="${escapeAttribute(webpSrcset)}" sizes="${escapeAttribute(sizes)}">`
+    : ''
+  const srcsetAttrs = srcset ? ` srcset="${escapeAttribute(srcset)}" sizes="${escapeAttribute(sizes)}"` : ''
+
+  return `<picture>${webpSource}<img src="${escapeAttribute(src)}"${srcsetAttrs} alt="${escapeAttribute(alt)}" loading="lazy" style="${escapeAttribute(style)}"></picture>`
+}
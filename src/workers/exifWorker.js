@@ -0,0 +1,20 @@
+/**
+ * EXIF Worker
+ *
+ * Reads photo metadata off the main thread, so large photos don't freeze
+ * the form while they are scanned. Used by useExifData.
+ *
+ * Message in:  { id, file }
+ * Message out: { id, metadata } or { id, error }
+ */
+
+import { parseImageMetadata } from '@/utils/exifParser'
+
+self.onmessage = async ({ data: { id, file } }) => {
+  try {
+    const buffer = await file.arrayBuffer()
+    self.postMessage({ id, metadata: parseImageMetadata(buffer) })
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Failed to read photo metadata' })
+  }
+}